@@ -1,13 +1,19 @@
 "use strict";
 
 const {
+  OPTION_DEFS,
+  options,
+  resetOptions,
+  formatOption,
+  setOption,
+  isWordChar,
   clampLine,
   clampChar,
   getLineText,
   firstNonBlank,
-  wordForward,
-  wordBackward,
-  wordEnd,
+  wordMotionPos,
+  wordMotionRange,
+  exclusiveRange,
   charSearchPos,
   motionRange,
   charMotionRange,
@@ -15,46 +21,146 @@ const {
   textQuoteRange,
   textBracketRange,
   getVisualSelection,
+  getVisualBlock,
+  blockPutLine,
   paragraphForward,
   paragraphBackward,
   getTextInRange,
+  getLines,
   matchingBracketPos,
   paragraphTextRange,
+  indentTextRange,
+  entireTextRange,
   sentenceTextRange,
+  orderPositions,
+  changeCase,
+  shiftLine,
+  shiftIndentLevel,
+  wordStartBefore,
+  reindentLines,
+  formatLines,
+  formattedPosition,
+  incrementNumber,
+  escapeRegex,
+  compileSearch,
+  searchMatches,
+  searchForward,
+  searchBackward,
+  wordUnderCursor,
+  parseExAddress,
+  parseExRange,
+  parseExCommand,
+  findExCommand,
+  completeExCommand,
+  parseSubstitute,
+  substituteMatches,
+  applySubstitutions,
+  isRegisterName,
+  isReadOnlyRegister,
+  registerText,
+  storeRegister,
+  appendRegisterValue,
+  encodeKeys,
+  parseKeyNotation,
+  changesetSplice,
+  textSplice,
+  adjustPosition,
+  virtualReplaceEnd,
+  startsWithKeys,
+  lookupMapping,
+  configLines,
+  abbreviationAt,
+  modeText,
+  selectionSize,
+  rulerText,
 } = require("./vim-core");
 
 // --- State variables ---
 
 let vimEnabled = localStorage.getItem("ep_vimEnabled") === "true";
 let insertMode = false;
+let replacedText = null;
+let virtualReplace = false;
+let replaceCount = 1;
+let insertStart = null;
+let insertCommand = null;
 let visualMode = null;
 let visualAnchor = null;
 let visualCursor = null;
+let visualBlockToEol = false;
+let blockInsert = null;
 let pendingKey = null;
 let pendingOperator = null;
 let pendingCount = null;
 let countBuffer = "";
-let register = null;
+const registers = {};
+let pendingRegister = null;
+let lastInsertedText = null;
 let marks = {};
 let editorDoc = null;
+let cursorEl = null;
+let substitutePreviewEls = [];
 let currentRep = null;
 let desiredColumn = null;
 let lastCharSearch = null;
+let lastChange = null;
+let pendingChange = null;
+let insertedText = null;
+let replayingChange = false;
+let lastSearch = null;
+let searchHighlight = false;
+let commandLine = null;
+let commandLineEl = null;
+let statusLineEl = null;
+let message = null;
+let messageTimer = null;
+let lastSubstitute = null;
+let substituteConfirm = null;
+let macroRecording = null;
+let lastMacro = null;
+let macroDepth = 0;
+let macroAborted = false;
+let commandFailed = false;
+let undoGroups = [];
+let redoGroups = [];
+let undoGroupOpen = false;
+let undoEventId = 0;
+let changeStart = null;
+let lineUndo = null;
+let scrollAmount = null;
+let jumpList = [];
+let jumpIndex = 0;
+let changeList = [];
+let changeIndex = 0;
+let remoteText = null;
+let mapLeader = ["\\"];
+let mapBuffer = [];
+let mapTimer = null;
+let mapEditorInfo = null;
 
-const QUOTE_CHARS = new Set(['"', "'"]);
-const BRACKET_CHARS = new Set(["(", ")", "{", "}", "[", "]"]);
+const QUOTE_CHARS = new Set(['"', "'", "`"]);
+const BRACKET_CHARS = new Set(["(", ")", "{", "}", "[", "]", "<", ">"]);
 
 const textObjectRange = (key, lineText, char, type) => {
-  if (key === "w") return textWordRange(lineText, char, type);
+  if (key === "w" || key === "W") {
+    return textWordRange(lineText, char, type, key === "W");
+  }
   if (QUOTE_CHARS.has(key)) return textQuoteRange(lineText, char, key, type);
-  if (BRACKET_CHARS.has(key))
-    return textBracketRange(lineText, char, key, type);
 };
 
-const resolveTextObject = (key, type, line, lineText, char, rep) => {
+const resolveTextObject = (key, type, line, lineText, char, rep, count) => {
+  if (BRACKET_CHARS.has(key)) {
+    return textBracketRange(rep, line, char, key, type, count);
+  }
   if (key === "p") {
     return paragraphTextRange(rep, line, type);
   }
+  if (key === "i") {
+    return indentTextRange(rep, line, type);
+  }
+  if (key === "e") {
+    return entireTextRange(rep, type);
+  }
   if (key === "s") {
     const r = sentenceTextRange(lineText, char, type);
     if (!r) return null;
@@ -70,46 +176,49 @@ const resolveTextObject = (key, type, line, lineText, char, rep) => {
   return { startLine: line, startChar: r.start, endLine: line, endChar: r.end };
 };
 
+// The iframe doesn't scroll — the outer page does. getBoundingClientRect()
+// inside the iframe is relative to the iframe document top (not the outer
+// viewport), so line boxes are shifted by the iframe's own position in the
+// outer viewport to tell which lines are actually visible.
+const measureView = (rep) => {
+  const frameEl = editorDoc.defaultView.frameElement;
+  const offset = frameEl ? frameEl.getBoundingClientRect().top : 0;
+  return {
+    count: rep.lines.length(),
+    height: window.parent ? window.parent.innerHeight : 600,
+    box: (line) => {
+      const rect = getLineNode(rep, line).getBoundingClientRect();
+      return { top: offset + rect.top, bottom: offset + rect.bottom };
+    },
+  };
+};
+
 const getVisibleLineRange = (rep) => {
   const totalLines = rep.lines.length();
   if (!editorDoc) return { top: 0, bottom: totalLines - 1 };
-  const lineDivs = editorDoc.body.querySelectorAll("div");
-  const lineCount = Math.min(lineDivs.length, totalLines);
-
-  // The iframe doesn't scroll — the outer page does. getBoundingClientRect()
-  // inside the iframe is relative to the iframe document top (not the outer
-  // viewport). We need the iframe's own position in the outer viewport to
-  // know which lines are actually visible.
-  const frameEl = editorDoc.defaultView.frameElement;
-  const iframeTop = frameEl ? frameEl.getBoundingClientRect().top : 0;
-  const outerViewportHeight = window.parent ? window.parent.innerHeight : 600;
+  const view = measureView(rep);
 
   let top = 0;
-  let bottom = lineCount - 1;
-  for (let i = 0; i < lineCount; i++) {
-    const rect = lineDivs[i].getBoundingClientRect();
-    if (iframeTop + rect.bottom > 0) {
+  let bottom = view.count - 1;
+  for (let i = 0; i < view.count; i++) {
+    if (view.box(i).bottom > 0) {
       top = i;
       break;
     }
   }
-  for (let i = lineCount - 1; i >= 0; i--) {
-    const rect = lineDivs[i].getBoundingClientRect();
-    if (iframeTop + rect.top < outerViewportHeight) {
+  for (let i = view.count - 1; i >= 0; i--) {
+    if (view.box(i).top < view.height) {
       bottom = i;
       break;
     }
   }
 
   // Lines can wrap, so find the middle by pixel position rather than index.
-  const visibleTop = iframeTop + lineDivs[top].getBoundingClientRect().top;
-  const visibleBottom =
-    iframeTop + lineDivs[bottom].getBoundingClientRect().bottom;
-  const pixelMidpoint = (visibleTop + visibleBottom) / 2;
+  const pixelMidpoint = (view.box(top).top + view.box(bottom).bottom) / 2;
   let mid = top;
   for (let i = top; i <= bottom; i++) {
-    const rect = lineDivs[i].getBoundingClientRect();
-    if (iframeTop + (rect.top + rect.bottom) / 2 >= pixelMidpoint) {
+    const box = view.box(i);
+    if ((box.top + box.bottom) / 2 >= pixelMidpoint) {
       mid = i;
       break;
     }
@@ -118,29 +227,649 @@ const getVisibleLineRange = (rep) => {
   return { top, mid, bottom };
 };
 
+// --- Scrolling ---
+//
+// Scrolling moves the outer page too. Lines are measured in outer viewport
+// pixels rather than counted, so a long wrapped line takes up as much of a
+// page as it does on screen.
+
+const scrollView = (dy) => {
+  if (window.parent && dy !== 0) window.parent.scrollBy(0, dy);
+};
+
+// The lines that fit entirely in the viewport; a line taller than the
+// viewport counts when it fills it.
+const fullyVisibleLines = (view) => {
+  let first = 0;
+  while (first < view.count - 1) {
+    const box = view.box(first);
+    if (box.bottom > 0 && (box.top >= 0 || box.bottom > view.height)) break;
+    first++;
+  }
+  let last = view.count - 1;
+  while (last > first) {
+    const box = view.box(last);
+    if (box.top < view.height && (box.bottom <= view.height || box.top < 0)) {
+      break;
+    }
+    last--;
+  }
+  return { first, last };
+};
+
+// The line at pixel y, or the first or last line when y is past either end.
+const lineAtY = (view, y) => {
+  for (let i = 0; i < view.count; i++) {
+    if (view.box(i).bottom > y) return i;
+  }
+  return view.count - 1;
+};
+
+// Ctrl-E / Ctrl-Y scroll by lines, moving the cursor only when it would
+// leave the screen, and keeping its column like j and k.
+const scrollByLines = (editorInfo, rep, line, char, lines) => {
+  let view = measureView(rep);
+  const { first } = fullyVisibleLines(view);
+  const target = Math.max(0, Math.min(view.count - 1, first + lines));
+  if (target === first) {
+    commandFailed = true;
+    return;
+  }
+  scrollView(view.box(target).top);
+  view = measureView(rep);
+  const visible = fullyVisibleLines(view);
+  const newLine = Math.max(visible.first, Math.min(visible.last, line));
+  if (newLine === line) return;
+  if (desiredColumn === null) desiredColumn = char;
+  const column = clampChar(desiredColumn, getLineText(rep, newLine));
+  applyMotion(editorInfo, rep, newLine, column);
+};
+
+// Ctrl-D / Ctrl-U scroll half a page, or the number of lines last given as a
+// count, and move the cursor as far.
+const scrollHalfPage = (editorInfo, rep, line, direction, lines) => {
+  if (lines !== null) scrollAmount = lines;
+  const view = measureView(rep);
+  if (
+    (direction > 0 && line >= view.count - 1) ||
+    (direction < 0 && line === 0)
+  ) {
+    commandFailed = true;
+    return;
+  }
+  let dy = (direction * view.height) / 2;
+  if (scrollAmount !== null) {
+    const { first } = fullyVisibleLines(view);
+    const target = Math.max(
+      0,
+      Math.min(view.count - 1, first + direction * scrollAmount),
+    );
+    dy = view.box(target).top - view.box(first).top;
+  }
+  const newLine = lineAtY(view, view.box(line).top + dy);
+  scrollView(dy);
+  desiredColumn = null;
+  const newText = getLineText(rep, newLine);
+  applyMotion(editorInfo, rep, newLine, firstNonBlank(newText));
+};
+
+// Ctrl-F / Ctrl-B scroll whole pages, keeping two lines of the old page in
+// view, and put the cursor on the first non-blank of a line still visible.
+const scrollPages = (editorInfo, rep, line, direction, pages) => {
+  let view = measureView(rep);
+  let visible = fullyVisibleLines(view);
+  const atEnd =
+    direction > 0 ? visible.last === view.count - 1 : visible.first === 0;
+  if (atEnd && line === (direction > 0 ? view.count - 1 : 0)) {
+    commandFailed = true;
+    return;
+  }
+  for (let i = 0; i < pages; i++) {
+    if (direction > 0) {
+      const target = Math.min(
+        view.count - 1,
+        Math.max(visible.first + 1, visible.last - 1),
+      );
+      scrollView(view.box(target).top);
+    } else {
+      const target = Math.max(0, Math.min(visible.last - 1, visible.first + 1));
+      scrollView(view.box(target).bottom - view.height);
+    }
+    view = measureView(rep);
+    visible = fullyVisibleLines(view);
+  }
+  let newLine = Math.max(visible.first, Math.min(visible.last, line));
+  if (atEnd) newLine = direction > 0 ? view.count - 1 : 0;
+  desiredColumn = null;
+  const newText = getLineText(rep, newLine);
+  applyMotion(editorInfo, rep, newLine, firstNonBlank(newText));
+};
+
+// zt, zz and zb put line at the top, middle or bottom of the screen.
+const scrollLineTo = (rep, line, where) => {
+  const view = measureView(rep);
+  const box = view.box(line);
+  if (where === "top") scrollView(box.top);
+  else if (where === "bottom") scrollView(box.bottom - view.height);
+  else scrollView((box.top + box.bottom) / 2 - view.height / 2);
+};
+
+const Z_COMMANDS = {
+  t: "top",
+  z: "middle",
+  b: "bottom",
+  Enter: "top",
+  ".": "middle",
+  "-": "bottom",
+};
+
+// --- Highlights ---
+//
+// Match highlighting uses the CSS Custom Highlight API so that nothing is
+// inserted into the contenteditable body, which Etherpad would otherwise pick
+// up as a user edit.
+
+// Etherpad keeps each line's div on its entry in rep.lines.
+const getLineNode = (rep, line) =>
+  line >= 0 && line < rep.lines.length()
+    ? rep.lines.atIndex(line).lineNode || null
+    : null;
+
+const domPoint = (rep, line, char) => {
+  const lineDiv = getLineNode(rep, line);
+  if (!lineDiv) return null;
+  const walker = editorDoc.createTreeWalker(lineDiv, NodeFilter.SHOW_TEXT);
+  let remaining = char;
+  let last = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (remaining <= node.length) return { node, offset: remaining };
+    remaining -= node.length;
+    last = node;
+  }
+  if (last) return { node: last, offset: last.length };
+  return { node: lineDiv, offset: 0 };
+};
+
+const domRange = (rep, line, startChar, endChar) => {
+  const start = domPoint(rep, line, startChar);
+  const end = domPoint(rep, line, endChar);
+  if (!start || !end) return null;
+  const range = editorDoc.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+};
+
+const setHighlight = (name, ranges) => {
+  const win = editorDoc ? editorDoc.defaultView : null;
+  if (!win || !win.CSS || !win.CSS.highlights || !win.Highlight) return;
+  const domRanges = ranges
+    .map(({ line, start, end }) => domRange(currentRep, line, start, end))
+    .filter(Boolean);
+  if (domRanges.length === 0) {
+    win.CSS.highlights.delete(name);
+  } else {
+    win.CSS.highlights.set(name, new win.Highlight(...domRanges));
+  }
+};
+
+const refreshSearchHighlight = () => {
+  if (!searchHighlight || !lastSearch || !currentRep) {
+    setHighlight("vim-search", []);
+    return;
+  }
+  const regex = compileSearch(lastSearch.pattern);
+  const matches = regex ? searchMatches(currentRep, regex) : [];
+  setHighlight(
+    "vim-search",
+    matches.filter((m) => m.end > m.start),
+  );
+};
+
+const clearSearchHighlight = () => {
+  searchHighlight = false;
+  refreshSearchHighlight();
+};
+
+// --- Cursor ---
+//
+// The selection is collapsed to a caret at the cursor and the caret hidden;
+// the cursor is drawn by an element laid over the character's box instead.
+// It lives outside the contenteditable body for the same reason highlights
+// do. The box is measured from the text itself, so it follows wrapped lines
+// and covers a tab or a wide character whole.
+
+const cursorShape = () => {
+  if (insertMode) return replacedText !== null ? "replace" : "insert";
+  return pendingOperator !== null ? "operator" : "normal";
+};
+
+const measureCursor = (rep, line, char) => {
+  const lineDiv = getLineNode(rep, line);
+  if (!lineDiv) return null;
+  const lineText = getLineText(rep, line);
+  if (char < lineText.length) {
+    const width = lineText.codePointAt(char) > 0xffff ? 2 : 1;
+    const range = domRange(rep, line, char, char + width);
+    const rects = range ? [...range.getClientRects()] : [];
+    const rect = rects.find((r) => r.width > 0) || rects[0];
+    if (rect) return rect;
+  }
+  // Past the end of the line the cursor takes the place of one more
+  // character, half as wide as the line is high.
+  const before = char > 0 ? domRange(rep, line, char - 1, char) : null;
+  const rects = before ? [...before.getClientRects()] : [];
+  const last = rects[rects.length - 1];
+  const box = last || lineDiv.getBoundingClientRect();
+  const height = last ? last.height : box.height;
+  return {
+    left: last ? last.right : box.left,
+    top: box.top,
+    width: height / 2,
+    height,
+  };
+};
+
+const renderCursor = (rep) => {
+  if (!editorDoc) return;
+  editorDoc.body.classList.toggle("vim-caret-hidden", vimEnabled);
+  if (!cursorEl) {
+    cursorEl = editorDoc.createElement("div");
+    cursorEl.className = "vim-cursor";
+    editorDoc.documentElement.appendChild(cursorEl);
+  }
+  const [line, char] =
+    visualMode !== null ? visualCursor : rep ? rep.selStart : [0, 0];
+  const box = vimEnabled && rep ? measureCursor(rep, line, char) : null;
+  cursorEl.hidden = !box;
+  if (!box) return;
+  const win = editorDoc.defaultView;
+  cursorEl.dataset.shape = cursorShape();
+  cursorEl.classList.toggle("vim-cursor-blink", options.cursorblink);
+  cursorEl.style.left = `${box.left + win.scrollX}px`;
+  cursorEl.style.top = `${box.top + win.scrollY}px`;
+  cursorEl.style.width = `${box.width}px`;
+  cursorEl.style.height = `${box.height}px`;
+};
+
+// Called with the inner editor document once it is known. Line wrapping
+// changes with the width of the window, and the cursor with it.
+const attachEditorDoc = (doc) => {
+  editorDoc = doc;
+  setInsertMode(insertMode);
+  editorDoc.defaultView.addEventListener("resize", () => {
+    renderCursor(currentRep);
+  });
+};
+
+// --- Command line ---
+//
+// The prompt never takes focus: keys keep arriving through aceKeyEvent and are
+// routed to handleCommandLineKey while a prompt is open. The same element shows
+// messages once the prompt is closed, and the mode when there is no message.
+// It is the left part of the status line under the pad, followed by the
+// pending keys (showcmd) and the cursor position (ruler).
+
+const commandHistory = { ":": [], "/": [] };
+
+// A message of one line goes away after this long, except the question asked
+// by :s///c; a list stays until the next key.
+const MESSAGE_TIMEOUT = 4000;
+
+const getCommandLineEl = () => {
+  if (commandLineEl) return commandLineEl;
+  const container =
+    document.getElementById("editorcontainerbox") || document.body;
+  if (!container) return null;
+  statusLineEl = document.createElement("div");
+  statusLineEl.id = "vim-status-line";
+  statusLineEl.hidden = !vimEnabled;
+  commandLineEl = document.createElement("div");
+  commandLineEl.id = "vim-command-line";
+  const showcmdEl = document.createElement("span");
+  showcmdEl.className = "vim-showcmd";
+  const rulerEl = document.createElement("span");
+  rulerEl.className = "vim-ruler";
+  statusLineEl.append(commandLineEl, showcmdEl, rulerEl);
+  container.appendChild(statusLineEl);
+  return commandLineEl;
+};
+
+const renderCommandLine = () => {
+  const el = getCommandLineEl();
+  if (!el) return;
+  el.classList.toggle(
+    "vim-command-line-error",
+    !commandLine && message !== null && message.isError,
+  );
+  if (!commandLine) {
+    el.textContent = message
+      ? message.text
+      : modeText({
+          insert: insertMode,
+          replace: replacedText !== null,
+          virtual: virtualReplace,
+          visual: visualMode,
+          insertCommand,
+        });
+    return;
+  }
+  el.textContent = "";
+  const { prefix, text, cursor } = commandLine;
+  const cursorEl = document.createElement("span");
+  cursorEl.className = "vim-command-line-cursor";
+  cursorEl.textContent = text[cursor] || " ";
+  el.append(prefix + text.slice(0, cursor), cursorEl, text.slice(cursor + 1));
+};
+
+const showMessage = (text, isError) => {
+  if (commandLine) return;
+  clearTimeout(messageTimer);
+  messageTimer = null;
+  message = text ? { text, isError: !!isError } : null;
+  if (message && !text.includes("\n") && substituteConfirm === null) {
+    messageTimer = setTimeout(() => {
+      messageTimer = null;
+      message = null;
+      renderCommandLine();
+    }, MESSAGE_TIMEOUT);
+  }
+  renderCommandLine();
+};
+
+// The keys typed so far of an unfinished command, or the size of the visual
+// selection, followed by line:column and the percentage through the pad.
+const renderStatusLine = (rep) => {
+  if (!getCommandLineEl()) return;
+  statusLineEl.hidden = !vimEnabled;
+  if (!vimEnabled || !rep || !rep.selStart) return;
+  // pendingCount outlives a finished command until the next key.
+  const waiting =
+    pendingKey !== null || pendingOperator !== null || pendingRegister !== null;
+  const pending =
+    (pendingRegister ? `"${pendingRegister}` : "") +
+    (waiting && pendingCount !== null ? String(pendingCount) : "") +
+    (pendingOperator || "") +
+    countBuffer +
+    (pendingKey || "") +
+    encodeKeys(mapBuffer.map((entry) => entry.key));
+  const showcmd =
+    pending === "" && visualMode !== null
+      ? selectionSize(visualMode, visualAnchor, visualCursor)
+      : pending;
+  const [line, char] = visualMode !== null ? visualCursor : rep.selStart;
+  statusLineEl.querySelector(".vim-showcmd").textContent = showcmd;
+  statusLineEl.querySelector(".vim-ruler").textContent = rulerText(
+    line,
+    char,
+    rep.lines.length(),
+  );
+  renderCommandLine();
+};
+
+// Like Vim's 'report': commands that yank or add or remove more than this
+// many lines say so.
+const REPORT_LINES = 2;
+
+const reportLineCount = (before, after) => {
+  const delta = after - before;
+  if (delta > REPORT_LINES) showMessage(`${delta} more lines`);
+  if (-delta > REPORT_LINES) showMessage(`${-delta} fewer lines`);
+};
+
+const openCommandLine = (prefix, onSubmit, options = {}) => {
+  const text = options.text || "";
+  commandLine = {
+    prefix,
+    text,
+    cursor: text.length,
+    onSubmit,
+    complete: options.complete || null,
+    repeatable: options.repeatable !== false,
+    onChange: options.onChange || null,
+    onClose: options.onClose || null,
+    history: commandHistory[prefix === ":" ? ":" : "/"],
+    historyIndex: null,
+    historyPrefix: "",
+    completion: null,
+  };
+  renderCommandLine();
+};
+
+const closeCommandLine = () => {
+  const cmd = commandLine;
+  commandLine = null;
+  renderCommandLine();
+  if (cmd && cmd.onClose) cmd.onClose();
+};
+
+const addToHistory = (history, text) => {
+  if (text === "") return;
+  const existing = history.indexOf(text);
+  if (existing !== -1) history.splice(existing, 1);
+  history.push(text);
+};
+
+const recallHistory = (cmd, step) => {
+  if (cmd.historyIndex === null) {
+    cmd.historyIndex = cmd.history.length;
+    cmd.historyPrefix = cmd.text;
+  }
+  let index = cmd.historyIndex + step;
+  while (
+    index >= 0 &&
+    index < cmd.history.length &&
+    !cmd.history[index].startsWith(cmd.historyPrefix)
+  ) {
+    index += step;
+  }
+  if (index < 0) return;
+  cmd.historyIndex = Math.min(index, cmd.history.length);
+  cmd.text =
+    index >= cmd.history.length ? cmd.historyPrefix : cmd.history[index];
+  cmd.cursor = cmd.text.length;
+};
+
+const completeCommandLine = (cmd, step) => {
+  if (!cmd.completion) {
+    const result = cmd.complete(cmd.text);
+    if (!result || result.matches.length === 0) return;
+    cmd.completion = { ...result, index: -1 };
+  }
+  const { base, matches } = cmd.completion;
+  const count = matches.length;
+  cmd.completion.index = (cmd.completion.index + step + count) % count;
+  cmd.text = base + matches[cmd.completion.index];
+  cmd.cursor = cmd.text.length;
+};
+
+const handleCommandLineKey = (rep, editorInfo, key) => {
+  const cmd = commandLine;
+  if (key !== "Tab") cmd.completion = null;
+  if (key !== "ArrowUp" && key !== "ArrowDown") cmd.historyIndex = null;
+
+  if (key === "Escape") {
+    closeCommandLine();
+    return;
+  }
+  if (key === "Enter") {
+    addToHistory(cmd.history, cmd.text);
+    closeCommandLine();
+    cmd.onSubmit(rep, editorInfo, cmd.text);
+    return;
+  }
+  if (key === "Backspace") {
+    if (cmd.text === "") {
+      closeCommandLine();
+      return;
+    }
+    if (cmd.cursor > 0) {
+      cmd.text = cmd.text.slice(0, cmd.cursor - 1) + cmd.text.slice(cmd.cursor);
+      cmd.cursor--;
+    }
+  } else if (key === "Delete") {
+    cmd.text = cmd.text.slice(0, cmd.cursor) + cmd.text.slice(cmd.cursor + 1);
+  } else if (key === "ArrowLeft") {
+    cmd.cursor = Math.max(0, cmd.cursor - 1);
+  } else if (key === "ArrowRight") {
+    cmd.cursor = Math.min(cmd.text.length, cmd.cursor + 1);
+  } else if (key === "Home") {
+    cmd.cursor = 0;
+  } else if (key === "End") {
+    cmd.cursor = cmd.text.length;
+  } else if (key === "ArrowUp" || key === "ArrowDown") {
+    recallHistory(cmd, key === "ArrowUp" ? -1 : 1);
+  } else if (key === "Tab") {
+    if (cmd.complete) completeCommandLine(cmd, 1);
+  } else if (key.length === 1) {
+    cmd.text = cmd.text.slice(0, cmd.cursor) + key + cmd.text.slice(cmd.cursor);
+    cmd.cursor++;
+  }
+  renderCommandLine();
+  if (cmd.onChange) cmd.onChange(cmd.text);
+};
+
 // --- Count helpers ---
 
 const consumeCount = () => {
   if (countBuffer !== "") {
-    pendingCount = parseInt(countBuffer, 10);
+    // A count typed after an operator multiplies the one before it (2d3w).
+    const digits = parseInt(countBuffer, 10);
+    pendingCount =
+      pendingOperator !== null && pendingCount !== null
+        ? pendingCount * digits
+        : digits;
     countBuffer = "";
-  } else if (pendingKey === null && pendingOperator === null) {
+  } else if (
+    pendingKey === null &&
+    pendingOperator === null &&
+    pendingRegister === null
+  ) {
     pendingCount = null;
   }
 };
 
 const getCount = () => pendingCount || 1;
 
-// --- Side-effectful helpers ---
+const isCountKey = (key) =>
+  pendingKey === null &&
+  ((key >= "1" && key <= "9") || (key === "0" && countBuffer !== ""));
+
+// --- Dot-repeat recording ---
+//
+// Keys of the command in progress are collected into pendingChange. Count
+// digits are folded into a single multiplier so that a count in front of `.`
+// can replace it. Once the command completes, it becomes lastChange if it
+// edited the pad; commands that enter insert mode stay pending until Escape so
+// the typed text can be replayed with them.
+
+const recordChangeKey = (key) => {
+  if (replayingChange || visualMode !== null) return;
+  if (commandLine && !commandLine.repeatable) return;
+  if (!pendingChange) {
+    pendingChange = { keys: [], count: null, digits: "", edited: false };
+  }
+  if (commandLine === null && isCountKey(key)) {
+    pendingChange.digits += key;
+    return;
+  }
+  if (pendingChange.digits !== "") {
+    const digits = parseInt(pendingChange.digits, 10);
+    pendingChange.count = (pendingChange.count || 1) * digits;
+    pendingChange.digits = "";
+  }
+  pendingChange.keys.push(key);
+};
+
+const finishChangeKey = () => {
+  if (!pendingChange || replayingChange || insertMode) return;
+  if (
+    pendingKey !== null ||
+    pendingOperator !== null ||
+    pendingRegister !== null ||
+    countBuffer !== "" ||
+    commandLine !== null
+  ) {
+    return;
+  }
+  if (pendingChange.edited) {
+    lastChange = {
+      keys: pendingChange.keys,
+      count: pendingChange.count,
+      insertText: null,
+    };
+  }
+  pendingChange = null;
+};
+
+const finishInsertChange = () => {
+  if (pendingChange && (pendingChange.edited || insertedText)) {
+    lastChange = {
+      keys: pendingChange.keys,
+      count: pendingChange.count,
+      insertText: insertedText,
+    };
+  }
+  pendingChange = null;
+};
+
+const recordInsertKey = (key) => {
+  if (insertedText === null) return;
+  if (key === "Enter") {
+    insertedText += "\n";
+  } else if (key === "Tab") {
+    insertedText += "\t";
+  } else if (key === "Backspace") {
+    insertedText = insertedText.slice(0, -1);
+  } else if (key.length === 1) {
+    insertedText += key;
+  }
+};
 
-const setRegister = (value) => {
-  register = value;
-  const text = Array.isArray(value) ? value.join("\n") + "\n" : value;
+// --- Registers ---
+//
+// Values keep the existing convention: a string is charwise, an array of lines
+// is linewise. The target is whatever `"x` prefix is pending for the current
+// command; kind is "yank" or "delete" and decides between "0 and "1-"9/"-.
+
+const getPadId = () => {
+  if (typeof clientVars !== "undefined" && clientVars.padId) {
+    return clientVars.padId;
+  }
+  return decodeURIComponent(window.location.pathname.split("/").pop());
+};
+
+const getRegister = (name) => {
+  if (name === ".") return lastInsertedText;
+  if (name === "%") return getPadId();
+  const value = registers[name.toLowerCase()];
+  return value === undefined ? null : value;
+};
+
+// Returns false when the register cannot be written; the command is then
+// abandoned before it changes the pad, as Vim does for ".d.
+const setRegister = (value, kind) => {
+  if (pendingRegister === "_") return true;
+  if (isReadOnlyRegister(pendingRegister)) {
+    showMessage(`E354: Invalid register name: '${pendingRegister}'`, true);
+    commandFailed = true;
+    return false;
+  }
+  storeRegister(registers, pendingRegister, value, kind);
+  const lines = value.block || (Array.isArray(value) ? value : null);
+  if (kind === "yank" && lines && lines.length > REPORT_LINES) {
+    const block = value.block ? "block of " : "";
+    showMessage(`${block}${lines.length} lines yanked`);
+  }
+  const text = registerText(value);
   if (navigator.clipboard) {
     navigator.clipboard.writeText(text).catch(() => {});
   }
+  return true;
 };
 
+// --- Side-effectful helpers ---
+
 const moveCursor = (editorInfo, line, char) => {
   const pos = [line, char];
   editorInfo.ace_inCallStackIfNecessary("vim-move", () => {
@@ -149,22 +878,10 @@ const moveCursor = (editorInfo, line, char) => {
   });
 };
 
-const clearEmptyLineCursor = () => {
-  if (!editorDoc) return;
-  const old = editorDoc.querySelector(".vim-empty-line-cursor");
-  if (old) old.classList.remove("vim-empty-line-cursor");
-};
-
+// The normal-mode cursor. Moving it is moving the caret; the block itself is
+// drawn by renderCursor once the key has been handled.
 const moveBlockCursor = (editorInfo, line, char) => {
-  clearEmptyLineCursor();
-  const lineText = currentRep ? getLineText(currentRep, line) : "";
-  if (lineText.length === 0 && editorDoc) {
-    const lineDiv = editorDoc.body.querySelectorAll("div")[line];
-    if (lineDiv) lineDiv.classList.add("vim-empty-line-cursor");
-    selectRange(editorInfo, [line, 0], [line, 0]);
-  } else {
-    selectRange(editorInfo, [line, char], [line, char + 1]);
-  }
+  moveCursor(editorInfo, line, char);
 };
 
 const selectRange = (editorInfo, start, end) => {
@@ -175,22 +892,309 @@ const selectRange = (editorInfo, start, end) => {
 };
 
 const replaceRange = (editorInfo, start, end, text) => {
+  if (pendingChange) pendingChange.edited = true;
   editorInfo.ace_inCallStackIfNecessary("vim-edit", () => {
     editorInfo.ace_performDocumentReplaceRange(start, end, text);
   });
 };
 
-const undo = (editorInfo) => {
-  editorInfo.ace_doUndoRedo("undo");
+const replaceLines = (editorInfo, rep, topLine, bottomLine, newLines) => {
+  replaceRange(
+    editorInfo,
+    [topLine, 0],
+    [bottomLine, getLineText(rep, bottomLine).length],
+    newLines.join("\n"),
+  );
+};
+
+// --- Undo ---
+
+// Etherpad merges consecutive undo events of the same type, which would fold
+// separate Vim changes together (and a change's own events only sometimes).
+// Every undoable edit is therefore given a type of its own and counted
+// against the Vim change that made it, so u and Ctrl-R step over whole
+// changes. A change starts with the first key pressed while no command is
+// pending and lasts through any insert session it opens.
+//
+// Etherpad has no API for this. Renaming callstack.editEvent works because
+// ace2_inner calls the aceEditEvent hook before it hands that event to its
+// undo module, which merges an event into the one below only when their
+// types match.
+
+const isCommandIdle = () =>
+  !insertMode &&
+  pendingKey === null &&
+  pendingOperator === null &&
+  pendingRegister === null &&
+  countBuffer === "" &&
+  commandLine === null &&
+  substituteConfirm === null;
+
+const startUndoGroup = (rep) => {
+  const line = rep.selStart[0];
+  undoGroupOpen = false;
+  changeStart = {
+    line,
+    text: getLineText(rep, line),
+    lineCount: rep.lines.length(),
+  };
+};
+
+// Etherpad's own undo and redo (the toolbar buttons, and Ctrl-Z, Ctrl-Y or
+// Cmd-Z when vim lets them through) and loading new text move its undo stack
+// without vim, and so do edits made while vim mode is off. The groups no
+// longer line up with the stack then, so they are dropped, and u goes back
+// to undoing one Etherpad event at a time.
+const ETHERPAD_UNDO_CALLSTACKS = new Set([
+  "undo",
+  "redo",
+  "setup",
+  "setBaseText",
+  "importText",
+]);
+
+const isEtherpadUndoKey = (evt) =>
+  (evt.ctrlKey || evt.metaKey) && !evt.altKey && /^[zy]$/i.test(evt.key);
+
+const forgetUndoGroups = () => {
+  undoGroups = [];
+  redoGroups = [];
+  undoGroupOpen = false;
+  lineUndo = null;
+};
+
+const trackUndoEvent = (callstack, rep) => {
+  if (ETHERPAD_UNDO_CALLSTACKS.has(callstack.type)) {
+    forgetUndoGroups();
+    return;
+  }
+  const event = callstack.editEvent;
+  if (!event || !event.backset || event.eventType === "nonundoable") return;
+  event.eventType = `vim-change-${++undoEventId}`;
+  const external = callstack.type !== "handleKeyEvent" && isCommandIdle();
+  if (!undoGroupOpen || external) undoGroups.push(0);
+  undoGroups[undoGroups.length - 1]++;
+  undoGroupOpen = !external;
+  redoGroups = [];
+
+  // U restores the line the latest changes were made on, so remember its
+  // text from before the first of them.
+  if (changeStart === null) return;
+  if (external || rep.lines.length() !== changeStart.lineCount) {
+    lineUndo = null;
+  } else if (lineUndo === null || lineUndo.line !== changeStart.line) {
+    lineUndo = { line: changeStart.line, text: changeStart.text };
+  }
+};
+
+const undo = (editorInfo, count) => {
+  for (let n = 0; n < count; n++) {
+    // Edits from before vim mode was enabled have no group; undo them one
+    // Etherpad event at a time.
+    const events = undoGroups.length > 0 ? undoGroups.pop() : 1;
+    for (let i = 0; i < events; i++) editorInfo.ace_doUndoRedo("undo");
+    redoGroups.push(events);
+  }
+  lineUndo = null;
+};
+
+const redo = (editorInfo, count) => {
+  if (redoGroups.length === 0) {
+    showMessage("Already at newest change");
+    commandFailed = true;
+    return;
+  }
+  for (let n = 0; n < count && redoGroups.length > 0; n++) {
+    const events = redoGroups.pop();
+    for (let i = 0; i < events; i++) editorInfo.ace_doUndoRedo("redo");
+    undoGroups.push(events);
+  }
+  lineUndo = null;
+};
+
+const undoLine = (editorInfo, rep) => {
+  if (lineUndo === null || lineUndo.line >= rep.lines.length()) {
+    commandFailed = true;
+    return;
+  }
+  const { line, text } = lineUndo;
+  lineUndo.text = getLineText(rep, line);
+  changeStart = null;
+  replaceLines(editorInfo, rep, line, line, [text]);
+  moveBlockCursor(editorInfo, line, 0);
+};
+
+// --- Jump list and change list ---
+
+// Vim keeps at most 100 entries in each list.
+const LIST_SIZE = 100;
+
+const JUMP_MOTIONS = new Set(["G", "%", "{", "}", "H", "M", "L"]);
+
+const isJumpMotion = (prefix, key) =>
+  prefix === "'" ||
+  prefix === "`" ||
+  (prefix === "g" && key === "g") ||
+  (prefix === null && (JUMP_MOTIONS.has(key) || SEARCH_MOTIONS.has(key)));
+
+// A jump replaces any older entry on the same line and makes the position
+// the target of '' and ``.
+const recordJump = (pos) => {
+  jumpList = jumpList.filter(([line]) => line !== pos[0]);
+  jumpList.push(pos);
+  if (jumpList.length > LIST_SIZE) jumpList.shift();
+  jumpIndex = jumpList.length;
+  marks["'"] = pos;
+};
+
+const walkJumpList = (editorInfo, rep, line, char, count) => {
+  // Going back from the newest entry first records where the cursor is, so
+  // Ctrl-I can return to it.
+  if (count < 0 && jumpIndex === jumpList.length) {
+    recordJump([line, char]);
+    jumpIndex--;
+  }
+  const target = jumpIndex + count;
+  if (target < 0 || target >= jumpList.length) {
+    commandFailed = true;
+    return;
+  }
+  jumpIndex = target;
+  marks["'"] = [line, char];
+  const [jumpLine, jumpChar] = jumpList[target];
+  const targetLine = clampLine(jumpLine, rep);
+  desiredColumn = null;
+  applyMotion(
+    editorInfo,
+    rep,
+    targetLine,
+    clampChar(jumpChar, getLineText(rep, targetLine)),
+  );
+};
+
+// Typing along a line keeps replacing the newest entry, as in Vim, until the
+// change moves to another line or more than textwidth columns away.
+const recordChange = (pos) => {
+  const last = changeList[changeList.length - 1];
+  if (
+    last &&
+    last[0] === pos[0] &&
+    Math.abs(last[1] - pos[1]) < formatWidth()
+  ) {
+    changeList[changeList.length - 1] = pos;
+  } else {
+    changeList.push(pos);
+    if (changeList.length > LIST_SIZE) changeList.shift();
+  }
+  changeIndex = changeList.length;
+};
+
+const walkChangeList = (editorInfo, rep, count) => {
+  if (changeList.length === 0) {
+    showMessage("E664: Changelist is empty", true);
+    commandFailed = true;
+    return;
+  }
+  if (count < 0 && changeIndex === 0) {
+    showMessage("E662: At start of changelist", true);
+    commandFailed = true;
+    return;
+  }
+  if (count > 0 && changeIndex >= changeList.length - 1) {
+    showMessage("E663: At end of changelist", true);
+    commandFailed = true;
+    return;
+  }
+  changeIndex = Math.max(
+    0,
+    Math.min(changeIndex + count, changeList.length - 1),
+  );
+  const [changeLine, changeChar] = changeList[changeIndex];
+  const targetLine = clampLine(changeLine, rep);
+  desiredColumn = null;
+  applyMotion(
+    editorInfo,
+    rep,
+    targetLine,
+    clampChar(changeChar, getLineText(rep, targetLine)),
+  );
+};
+
+// Positions in both lists follow lines inserted or deleted above them. A
+// local edit leaves the changeset that undoes it in editEvent.backset, which
+// tells the lines it changed. A collaborator's edit is found by comparing the
+// pad before and after it instead. Only edits made here are added to the
+// change list: vim's own, and text typed in insert mode, which Etherpad
+// mostly takes in from its idle timer.
+const LOCAL_EDIT_CALLSTACKS = new Set([
+  "handleKeyEvent",
+  "vim-edit",
+  "idleWorkTimer",
+]);
+
+const editSplice = (callstack, rep) => {
+  if (callstack.type === "applyChangesToBase") {
+    return remoteText === null ? null : textSplice(remoteText, rep.alltext);
+  }
+  const back =
+    callstack.editEvent && changesetSplice(callstack.editEvent.backset);
+  return back && { ...back, removed: back.inserted, inserted: back.removed };
+};
+
+const trackLineChanges = (callstack, rep) => {
+  if (!callstack.docTextChanged) return;
+  const splice = editSplice(callstack, rep);
+  if (!splice) return;
+  const adjust = (pos) => adjustPosition(pos, splice);
+  jumpList = jumpList.map(adjust);
+  changeList = changeList.map(adjust);
+  if (marks["'"]) marks["'"] = adjust(marks["'"]);
+  if (substituteConfirm && callstack.type === "applyChangesToBase") {
+    const state = substituteConfirm;
+    state.pos = adjust(state.pos);
+    state.endLine = adjust([state.endLine, Infinity])[0];
+    if (state.lastLine !== null)
+      state.lastLine = adjust([state.lastLine, 0])[0];
+  }
+  if (LOCAL_EDIT_CALLSTACKS.has(callstack.type)) {
+    recordChange([splice.start, splice.char]);
+  }
+};
+
+// The changeset applyChangesToBase is given is relative to the server's text.
+// What reaches the pad is that changeset moved past local edits not yet sent,
+// which Etherpad keeps to itself, so the editor's applyChangesToBase is
+// wrapped to keep the pad's text from before the change instead.
+const watchRemoteChanges = (editorInfo) => {
+  const applyChangesToBase = editorInfo.ace_applyChangesToBase;
+  if (!applyChangesToBase) return;
+  editorInfo.ace_applyChangesToBase = (...args) => {
+    remoteText = editorInfo.ace_getRep().alltext;
+    try {
+      return applyChangesToBase(...args);
+    } finally {
+      remoteText = null;
+    }
+  };
 };
 
 // --- Mode management ---
 
-const setInsertMode = (value) => {
+// Replace mode is insert mode with typed characters overwriting the text;
+// replacedText holds what they overwrote, for Backspace to put back. virtual
+// is gR's replace mode, which overwrites screen cells instead of characters.
+const setInsertMode = (value, replace = false, virtual = false) => {
   insertMode = value;
-  if (value) clearEmptyLineCursor();
+  insertedText = value ? "" : null;
+  replacedText = value && replace ? [] : null;
+  virtualReplace = value && replace && virtual;
+  replaceCount = 1;
+  insertStart = value && currentRep ? [...currentRep.selStart] : null;
+  // Entering insert mode replaces any message with the mode, as in Vim.
+  if (value) showMessage("");
   if (editorDoc) {
-    editorDoc.body.classList.toggle("vim-insert-mode", value);
+    editorDoc.body.classList.toggle("vim-insert-mode", value && !replace);
+    editorDoc.body.classList.toggle("vim-replace-mode", value && replace);
   }
 };
 
@@ -199,10 +1203,26 @@ const setVisualMode = (value) => {
   if (editorDoc) {
     editorDoc.body.classList.toggle("vim-visual-line-mode", value === "line");
     editorDoc.body.classList.toggle("vim-visual-char-mode", value === "char");
+    editorDoc.body.classList.toggle("vim-visual-block-mode", value === "block");
   }
+  if (value !== "block") setHighlight("vim-visual-block", []);
 };
 
 const updateVisualSelection = (editorInfo, rep) => {
+  if (visualMode === "block") {
+    const { segments } = getVisualBlock(
+      visualAnchor,
+      visualCursor,
+      rep,
+      visualBlockToEol,
+    );
+    setHighlight(
+      "vim-visual-block",
+      segments.filter((segment) => segment.end > segment.start),
+    );
+    moveBlockCursor(editorInfo, visualCursor[0], visualCursor[1]);
+    return;
+  }
   const [start, end] = getVisualSelection(
     visualMode,
     visualAnchor,
@@ -212,31 +1232,243 @@ const updateVisualSelection = (editorInfo, rep) => {
   selectRange(editorInfo, start, end);
 };
 
-// --- Motion resolution (shared between normal and visual) ---
+// --- Visual block ---
 
-const resolveMotion = (key, line, char, lineText, rep, count) => {
-  if (
-    pendingKey === "f" ||
-    pendingKey === "F" ||
-    pendingKey === "t" ||
-    pendingKey === "T"
-  ) {
-    const direction = pendingKey;
-    pendingKey = null;
-    lastCharSearch = { direction, target: key };
-    const pos = charSearchPos(direction, lineText, char, key, count);
-    if (pos !== -1) {
-      desiredColumn = null;
-      return { line, char: pos };
-    }
-    return { line, char };
-  }
+// A browser selection cannot be rectangular, so the block is drawn with a
+// highlight and the selection only carries the cursor.
+
+const getCurrentBlock = (rep) =>
+  getVisualBlock(visualAnchor, visualCursor, rep, visualBlockToEol);
+
+const applyBlockOperator = (operator, editorInfo, rep) => {
+  const block = getCurrentBlock(rep);
+  const toEol = visualBlockToEol;
+  setVisualMode(null);
+  const texts = block.segments.map(({ line, start, end }) =>
+    getLineText(rep, line).slice(start, end),
+  );
+  if (operator in CASE_OPERATORS) {
+    block.segments.forEach(({ line, start, end }, i) => {
+      const changed = changeCase(texts[i], CASE_OPERATORS[operator]);
+      replaceRange(editorInfo, [line, start], [line, end], changed);
+    });
+  } else if (
+    !setRegister({ block: texts }, operator === "y" ? "yank" : "delete")
+  ) {
+    return;
+  }
+  if (operator === "d" || operator === "c") {
+    for (const { line, start, end } of block.segments) {
+      if (end > start) replaceRange(editorInfo, [line, start], [line, end], "");
+    }
+  }
+  if (operator === "c") {
+    startBlockInsert(editorInfo, rep, block, "c", toEol);
+    return;
+  }
+  const topText = getLineText(rep, block.top);
+  moveBlockCursor(editorInfo, block.top, clampChar(block.left, topText));
+};
+
+// Block I, A and c type on the top line only; the text is copied to the
+// other lines of the block when insert mode ends. kind decides the column:
+// I and c skip lines too short to reach the block, A pads them with spaces
+// (or appends at each line end when the block was extended with $).
+const startBlockInsert = (editorInfo, rep, block, kind, toEol) => {
+  let column = block.left;
+  if (kind === "A") column = toEol ? null : block.right;
+  const topText = getLineText(rep, block.top);
+  let char = column === null ? topText.length : column;
+  if (topText.length < char) {
+    if (kind === "A") {
+      const padding = " ".repeat(char - topText.length);
+      replaceRange(
+        editorInfo,
+        [block.top, topText.length],
+        [block.top, topText.length],
+        padding,
+      );
+    } else {
+      char = topText.length;
+    }
+  }
+  blockInsert = { top: block.top, bottom: block.bottom, kind, column, char };
+  moveCursor(editorInfo, block.top, char);
+  setInsertMode(true);
+};
+
+const finishBlockInsert = (editorInfo, rep) => {
+  const state = blockInsert;
+  blockInsert = null;
+  const [line, char] = rep.selStart;
+  if (line !== state.top || char <= state.char) return;
+  const text = getLineText(rep, line).slice(state.char, char);
+  for (let l = state.top + 1; l <= state.bottom; l++) {
+    const lineText = getLineText(rep, l);
+    let col = state.column === null ? lineText.length : state.column;
+    if (lineText.length < col) {
+      if (state.kind !== "A") continue;
+      col = lineText.length;
+    }
+    const padding =
+      state.kind === "A" && state.column !== null
+        ? " ".repeat(state.column - col)
+        : "";
+    replaceRange(editorInfo, [l, col], [l, col], padding + text);
+  }
+};
+
+const putBlock = (editorInfo, rep, line, col, lines, count) => {
+  const width = Math.max(...lines.map((text) => text.length));
+  const lineCount = rep.lines.length();
+  const missing = line + lines.length - lineCount;
+  if (missing > 0) {
+    const lastLength = getLineText(rep, lineCount - 1).length;
+    replaceRange(
+      editorInfo,
+      [lineCount - 1, lastLength],
+      [lineCount - 1, lastLength],
+      "\n".repeat(missing),
+    );
+  }
+  lines.forEach((text, i) => {
+    const repeated = (text + " ".repeat(width - text.length)).repeat(count - 1);
+    const lineText = getLineText(rep, line + i);
+    replaceLines(editorInfo, rep, line + i, line + i, [
+      blockPutLine(lineText, col, repeated + text, width * count),
+    ]);
+  });
+  moveBlockCursor(editorInfo, line, col);
+};
+
+// --- Search ---
+
+const SEARCH_MOTIONS = new Set(["n", "N", "*", "#"]);
+
+const notFoundMessage = (pattern, direction) => {
+  if (options.wrapscan) return `E486: Pattern not found: ${pattern}`;
+  return direction === "/"
+    ? `E385: Search hit BOTTOM without match for: ${pattern}`
+    : `E384: Search hit TOP without match for: ${pattern}`;
+};
+
+const findSearchMatch = (rep, line, char, direction, count) => {
+  if (!lastSearch) {
+    commandFailed = true;
+    showMessage("E35: No previous regular expression", true);
+    return null;
+  }
+  const regex = compileSearch(lastSearch.pattern);
+  if (!regex) {
+    commandFailed = true;
+    showMessage(`E383: Invalid search string: ${lastSearch.pattern}`, true);
+    return null;
+  }
+  const search = direction === "/" ? searchForward : searchBackward;
+  const found = search(rep, regex, line, char, count);
+  searchHighlight = true;
+  refreshSearchHighlight();
+  if (!found) {
+    commandFailed = true;
+    showMessage(notFoundMessage(lastSearch.pattern, direction), true);
+    return null;
+  }
+  if (found.wrapped) {
+    showMessage(
+      direction === "/"
+        ? "search hit BOTTOM, continuing at TOP"
+        : "search hit TOP, continuing at BOTTOM",
+      true,
+    );
+  } else {
+    showMessage(direction + lastSearch.pattern);
+  }
+  return { line: found.line, char: found.char };
+};
+
+const searchMotion = (key, line, char, lineText, rep, count) => {
+  if (key === "n" || key === "N") {
+    if (!lastSearch) return findSearchMatch(rep, line, char, "/", count);
+    const forward = (lastSearch.direction === "/") === (key === "n");
+    return findSearchMatch(rep, line, char, forward ? "/" : "?", count);
+  }
+  const word = wordUnderCursor(lineText, char);
+  if (!word) {
+    commandFailed = true;
+    showMessage("E348: No string under cursor", true);
+    return null;
+  }
+  const direction = key === "*" ? "/" : "?";
+  lastSearch = { pattern: `\\<${escapeRegex(word.word)}\\>`, direction };
+  return findSearchMatch(rep, line, word.start, direction, count);
+};
+
+const openSearchPrompt = (direction, operator, count) => {
+  openCommandLine(direction, (rep, editorInfo, pattern) => {
+    if (pattern !== "") {
+      lastSearch = { pattern, direction };
+    } else if (lastSearch) {
+      lastSearch.direction = direction;
+    }
+    const inVisual = visualMode !== null;
+    const [line, char] = inVisual ? visualCursor : rep.selStart;
+    const pos = findSearchMatch(rep, line, char, direction, count);
+    if (!pos) return;
+    if (operator) {
+      const [start, end] = orderPositions([line, char], [pos.line, pos.char]);
+      if (start[0] !== end[0] || start[1] !== end[1]) {
+        applyCharOperator(operator, start, end, editorInfo, rep);
+      }
+      return;
+    }
+    desiredColumn = null;
+    recordJump([line, char]);
+    applyMotion(editorInfo, rep, pos.line, pos.char);
+  });
+};
+
+// --- Motion resolution (shared between normal and visual) ---
+
+const WORD_MOTIONS = new Set(["w", "W", "b", "B", "e", "E"]);
+
+const wordMotion = (key, line, char, rep, count) => {
+  desiredColumn = null;
+  const pos = wordMotionPos(key, rep, line, char, count);
+  const target = {
+    line: pos.line,
+    char: clampChar(pos.char, getLineText(rep, pos.line)),
+  };
+  if (target.line === line && target.char === char) commandFailed = true;
+  return target;
+};
+
+const resolveMotion = (key, line, char, lineText, rep, count) => {
+  if (
+    pendingKey === "f" ||
+    pendingKey === "F" ||
+    pendingKey === "t" ||
+    pendingKey === "T"
+  ) {
+    const direction = pendingKey;
+    pendingKey = null;
+    lastCharSearch = { direction, target: key };
+    const pos = charSearchPos(direction, lineText, char, key, count);
+    if (pos !== -1) {
+      desiredColumn = null;
+      return { line, char: pos };
+    }
+    commandFailed = true;
+    return { line, char };
+  }
 
   if (pendingKey === "'" || pendingKey === "`") {
     const jumpType = pendingKey;
     pendingKey = null;
-    if (key >= "a" && key <= "z" && marks[key]) {
-      const [markLine, markChar] = marks[key];
+    // '' and `` go back to the position before the latest jump.
+    const name = key === "`" ? "'" : key;
+    if (((name >= "a" && name <= "z") || name === "'") && marks[name]) {
+      const markLine = clampLine(marks[name][0], rep);
+      const markChar = marks[name][1];
       desiredColumn = null;
       if (jumpType === "'") {
         const targetLineText = getLineText(rep, markLine);
@@ -244,6 +1476,7 @@ const resolveMotion = (key, line, char, lineText, rep, count) => {
       }
       return { line: markLine, char: markChar };
     }
+    commandFailed = true;
     return { line, char };
   }
 
@@ -256,21 +1489,28 @@ const resolveMotion = (key, line, char, lineText, rep, count) => {
       }
       return { line: 0, char: 0 };
     }
+    if (key === "e" || key === "E") {
+      return wordMotion(`g${key}`, line, char, rep, count);
+    }
   }
 
   if (key === "h") {
     desiredColumn = null;
+    if (char === 0) commandFailed = true;
     return { line, char: Math.max(0, char - count) };
   }
 
   if (key === "l") {
     desiredColumn = null;
-    return { line, char: clampChar(char + count, lineText) };
+    const newChar = clampChar(char + count, lineText);
+    if (newChar === char) commandFailed = true;
+    return { line, char: newChar };
   }
 
   if (key === "j") {
     if (desiredColumn === null) desiredColumn = char;
     const newLine = clampLine(line + count, rep);
+    if (newLine === line) commandFailed = true;
     const newLineText = getLineText(rep, newLine);
     return { line: newLine, char: clampChar(desiredColumn, newLineText) };
   }
@@ -278,29 +1518,13 @@ const resolveMotion = (key, line, char, lineText, rep, count) => {
   if (key === "k") {
     if (desiredColumn === null) desiredColumn = char;
     const newLine = clampLine(line - count, rep);
+    if (newLine === line) commandFailed = true;
     const newLineText = getLineText(rep, newLine);
     return { line: newLine, char: clampChar(desiredColumn, newLineText) };
   }
 
-  if (key === "w") {
-    desiredColumn = null;
-    let pos = char;
-    for (let i = 0; i < count; i++) pos = wordForward(lineText, pos);
-    return { line, char: clampChar(pos, lineText) };
-  }
-
-  if (key === "b") {
-    desiredColumn = null;
-    let pos = char;
-    for (let i = 0; i < count; i++) pos = wordBackward(lineText, pos);
-    return { line, char: pos };
-  }
-
-  if (key === "e") {
-    desiredColumn = null;
-    let pos = char;
-    for (let i = 0; i < count; i++) pos = wordEnd(lineText, pos);
-    return { line, char: clampChar(pos, lineText) };
+  if (WORD_MOTIONS.has(key)) {
+    return wordMotion(key, line, char, rep, count);
   }
 
   if (key === "0") {
@@ -320,7 +1544,13 @@ const resolveMotion = (key, line, char, lineText, rep, count) => {
 
   if (key === "}") {
     desiredColumn = null;
-    return { line: paragraphForward(rep, line, count), char: 0 };
+    // Without a blank line left to stop on, } goes to the end of the pad.
+    const targetLine = paragraphForward(rep, line, count);
+    const targetText = getLineText(rep, targetLine);
+    return {
+      line: targetLine,
+      char: clampChar(targetText.length - 1, targetText),
+    };
   }
 
   if (key === "{") {
@@ -350,6 +1580,7 @@ const resolveMotion = (key, line, char, lineText, rep, count) => {
         return { line, char: pos };
       }
     }
+    commandFailed = true;
     return { line, char };
   }
 
@@ -369,154 +1600,1633 @@ const resolveMotion = (key, line, char, lineText, rep, count) => {
         return { line, char: pos };
       }
     }
-    return { line, char };
+    commandFailed = true;
+    return { line, char };
+  }
+
+  if (key === "f" || key === "F" || key === "t" || key === "T") {
+    pendingKey = key;
+    return "pending";
+  }
+
+  if (key === "'" || key === "`") {
+    pendingKey = key;
+    return "pending";
+  }
+
+  if (key === "g") {
+    pendingKey = "g";
+    return "pending";
+  }
+
+  if (key === "%") {
+    const pos = matchingBracketPos(rep, line, char);
+    if (pos) {
+      desiredColumn = null;
+      return { line: pos.line, char: pos.char };
+    }
+    commandFailed = true;
+    return { line, char };
+  }
+
+  if (SEARCH_MOTIONS.has(key)) {
+    const pos = searchMotion(key, line, char, lineText, rep, count);
+    if (pos) {
+      desiredColumn = null;
+      return pos;
+    }
+    commandFailed = true;
+    return { line, char };
+  }
+
+  if (key === "H") {
+    desiredColumn = null;
+    const { top } = getVisibleLineRange(rep);
+    const targetLine = clampLine(top + count - 1, rep);
+    const targetText = getLineText(rep, targetLine);
+    return { line: targetLine, char: firstNonBlank(targetText) };
+  }
+
+  if (key === "M") {
+    desiredColumn = null;
+    const { mid } = getVisibleLineRange(rep);
+    const targetText = getLineText(rep, mid);
+    return { line: mid, char: firstNonBlank(targetText) };
+  }
+
+  if (key === "L") {
+    desiredColumn = null;
+    const { bottom } = getVisibleLineRange(rep);
+    const targetLine = clampLine(bottom - count + 1, rep);
+    const targetText = getLineText(rep, targetLine);
+    return { line: targetLine, char: firstNonBlank(targetText) };
+  }
+
+  return null;
+};
+
+// --- Apply motion (mode-aware cursor placement) ---
+
+const applyMotion = (editorInfo, rep, newLine, newChar) => {
+  if (visualMode !== null) {
+    visualCursor = [newLine, newChar];
+    updateVisualSelection(editorInfo, rep);
+  } else {
+    moveBlockCursor(editorInfo, newLine, newChar);
+  }
+
+  if (editorDoc) {
+    const lineDiv = getLineNode(rep, newLine);
+    if (lineDiv) lineDiv.scrollIntoView({ block: "nearest" });
+  }
+};
+
+const applyWordOperator = (op, key, line, char, count, editorInfo, rep) => {
+  const range = wordMotionRange(key, rep, line, char, count, op === "c");
+  if (!range) {
+    commandFailed = true;
+  } else if (range.linewise) {
+    applyLineOperator(op, range.start.line, range.end.line, editorInfo, rep, 0);
+  } else {
+    applyCharOperator(
+      op,
+      [range.start.line, range.start.char],
+      [range.end.line, range.end.char],
+      editorInfo,
+      rep,
+    );
+  }
+};
+
+// Any other motion resolveMotion knows as an operator target. j, k, G, gg,
+// H, M, L and 'a act on whole lines; the rest are charwise, inclusive for
+// ; and , after f or t and for } when it runs into the end of the pad, and
+// otherwise exclusive with Vim's adjustments for ranges ending in column 0.
+const LINEWISE_MOTIONS = new Set(["j", "k", "G", "H", "M", "L"]);
+
+const applyMotionOperator = (
+  op,
+  key,
+  line,
+  char,
+  lineText,
+  rep,
+  count,
+  editorInfo,
+) => {
+  const prefix = pendingKey;
+  const motion = resolveMotion(key, line, char, lineText, rep, count);
+  if (motion === "pending") {
+    pendingOperator = op;
+    return;
+  }
+  if (!motion || commandFailed) {
+    commandFailed = true;
+    return;
+  }
+  const [start, end] = orderPositions([line, char], [motion.line, motion.char]);
+  if (
+    prefix === "'" ||
+    (prefix === "g" && key === "g") ||
+    (prefix === null && LINEWISE_MOTIONS.has(key))
+  ) {
+    applyLineOperator(op, start[0], end[0], editorInfo, rep, char);
+    return;
+  }
+  let inclusive = false;
+  if ((key === ";" || key === ",") && lastCharSearch) {
+    const { direction } = lastCharSearch;
+    const forward = direction === "f" || direction === "t";
+    inclusive = key === ";" ? forward : !forward;
+  } else if (key === "}") {
+    inclusive = getLineText(rep, motion.line).length > 0;
+  }
+  if (inclusive) {
+    applyCharOperator(op, start, [end[0], end[1] + 1], editorInfo, rep);
+    return;
+  }
+  const range = exclusiveRange(
+    rep,
+    { line: start[0], char: start[1] },
+    { line: end[0], char: end[1] },
+  );
+  if (range.linewise) {
+    applyLineOperator(op, start[0], range.end.line, editorInfo, rep, char);
+  } else if (range.end.line > start[0] || range.end.char > start[1]) {
+    applyCharOperator(
+      op,
+      start,
+      [range.end.line, range.end.char],
+      editorInfo,
+      rep,
+    );
+  }
+};
+
+// --- Line deletion helper ---
+
+const deleteLines = (editorInfo, rep, topLine, bottomLine) => {
+  const totalLines = rep.lines.length();
+  if (bottomLine === totalLines - 1 && topLine > 0) {
+    const prevLineLen = getLineText(rep, topLine - 1).length;
+    replaceRange(
+      editorInfo,
+      [topLine - 1, prevLineLen],
+      [bottomLine, getLineText(rep, bottomLine).length],
+      "",
+    );
+    return topLine - 1;
+  }
+  if (bottomLine < totalLines - 1) {
+    replaceRange(editorInfo, [topLine, 0], [bottomLine + 1, 0], "");
+    return topLine;
+  }
+  replaceRange(
+    editorInfo,
+    [0, 0],
+    [bottomLine, getLineText(rep, bottomLine).length],
+    "",
+  );
+  return 0;
+};
+
+// --- Operator application ---
+
+// Besides d, c and y: gu, gU and g~ change case, and >, <, =, gq and gw
+// rewrite every line the target touches.
+const CASE_OPERATORS = { gu: "lower", gU: "upper", "g~": "toggle" };
+const LINE_OPERATORS = new Set([">", "<", "=", "gq", "gw"]);
+const OPERATORS = new Set([
+  "d",
+  "c",
+  "y",
+  ...Object.keys(CASE_OPERATORS),
+  ...LINE_OPERATORS,
+]);
+
+// dd, cc, >>, gqq, guu, gUU, g~~ (and gqgq, gugu and so on) act on whole
+// lines.
+const isDoubledOperator = (op, key) =>
+  key === op[op.length - 1] &&
+  (pendingKey === null || (pendingKey === "g" && op.length === 2));
+
+const applyCaseOperator = (operator, start, end, editorInfo, rep) => {
+  const text = getTextInRange(rep, start, end);
+  replaceRange(
+    editorInfo,
+    start,
+    end,
+    changeCase(text, CASE_OPERATORS[operator]),
+  );
+};
+
+// > and < shift by shiftwidth, steps times; = reindents from the nearest
+// non-blank line above; gq and gw rewrap to textwidth. The cursor ends on the
+// first non-blank of the top line, or of the last line gq wrote, and gw
+// leaves it on the same text.
+const rewriteLines = (
+  operator,
+  topLine,
+  bottomLine,
+  editorInfo,
+  rep,
+  steps = 1,
+) => {
+  const [cursorLine, cursorChar] = rep.selStart;
+  const lines = getLines(rep, topLine, bottomLine);
+  let updated;
+  if (operator === "=") {
+    let prev = topLine - 1;
+    while (prev >= 0 && getLineText(rep, prev).trim() === "") prev--;
+    const prevLine = prev >= 0 ? getLineText(rep, prev) : null;
+    updated = reindentLines(lines, prevLine, options.shiftwidth);
+  } else if (operator === "gq" || operator === "gw") {
+    updated = formatLines(lines, formatWidth());
+  } else {
+    const direction = operator === ">" ? steps : -steps;
+    updated = lines.map((text) =>
+      shiftLine(text, direction, options.shiftwidth),
+    );
+  }
+  if (
+    updated.length !== lines.length ||
+    updated.some((text, i) => text !== lines[i])
+  ) {
+    replaceLines(editorInfo, rep, topLine, bottomLine, updated);
+  }
+  if (operator === "gw") {
+    let [line, char] = [cursorLine, cursorChar];
+    if (cursorLine > bottomLine) {
+      line += updated.length - lines.length;
+    } else if (cursorLine >= topLine) {
+      [line, char] = formattedPosition(
+        lines,
+        updated,
+        cursorLine - topLine,
+        cursorChar,
+      );
+      line += topLine;
+    }
+    line = clampLine(line, rep);
+    moveBlockCursor(editorInfo, line, clampChar(char, getLineText(rep, line)));
+    return;
+  }
+  const line = operator === "gq" ? topLine + updated.length - 1 : topLine;
+  const lineText = getLineText(rep, line);
+  moveBlockCursor(
+    editorInfo,
+    line,
+    clampChar(firstNonBlank(lineText), lineText),
+  );
+};
+
+const applyCharOperator = (operator, start, end, editorInfo, rep) => {
+  if (LINE_OPERATORS.has(operator)) {
+    rewriteLines(operator, start[0], end[0], editorInfo, rep);
+    return;
+  }
+  if (operator in CASE_OPERATORS) {
+    applyCaseOperator(operator, start, end, editorInfo, rep);
+    moveBlockCursor(editorInfo, start[0], start[1]);
+    return;
+  }
+  const kind = operator === "y" ? "yank" : "delete";
+  const text =
+    start[0] === end[0]
+      ? getLineText(rep, start[0]).slice(start[1], end[1])
+      : getTextInRange(rep, start, end);
+  if (!setRegister(text, kind)) return;
+  if (operator === "y") {
+    moveBlockCursor(editorInfo, start[0], start[1]);
+    return;
+  }
+  replaceRange(editorInfo, start, end, "");
+  if (operator === "c") {
+    moveCursor(editorInfo, start[0], start[1]);
+    setInsertMode(true);
+  } else {
+    const newLineText = getLineText(rep, start[0]);
+    moveBlockCursor(editorInfo, start[0], clampChar(start[1], newLineText));
+  }
+};
+
+const applyLineOperator = (
+  operator,
+  topLine,
+  bottomLine,
+  editorInfo,
+  rep,
+  char,
+) => {
+  if (LINE_OPERATORS.has(operator)) {
+    rewriteLines(operator, topLine, bottomLine, editorInfo, rep);
+    return;
+  }
+  if (operator in CASE_OPERATORS) {
+    const end = [bottomLine, getLineText(rep, bottomLine).length];
+    applyCaseOperator(operator, [topLine, 0], end, editorInfo, rep);
+    const topText = getLineText(rep, topLine);
+    moveBlockCursor(editorInfo, topLine, clampChar(char, topText));
+    return;
+  }
+  const kind = operator === "y" ? "yank" : "delete";
+  if (!setRegister(getLines(rep, topLine, bottomLine), kind)) return;
+  if (operator === "y") {
+    moveBlockCursor(editorInfo, topLine, 0);
+    return;
+  }
+  if (operator === "c") {
+    replaceLines(editorInfo, rep, topLine, bottomLine, [""]);
+    moveCursor(editorInfo, topLine, 0);
+    setInsertMode(true);
+    return;
+  }
+  const cursorLine = deleteLines(editorInfo, rep, topLine, bottomLine);
+  const newLineText = getLineText(rep, cursorLine);
+  moveBlockCursor(editorInfo, cursorLine, clampChar(char, newLineText));
+};
+
+// A count on a visual > or < shifts that many times.
+const applyVisualOperator = (operator, count, editorInfo, rep) => {
+  const topLine = Math.min(visualAnchor[0], visualCursor[0]);
+  const bottomLine = Math.max(visualAnchor[0], visualCursor[0]);
+  if (LINE_OPERATORS.has(operator)) {
+    setVisualMode(null);
+    rewriteLines(operator, topLine, bottomLine, editorInfo, rep, count);
+  } else if (visualMode === "block") {
+    applyBlockOperator(operator, editorInfo, rep);
+  } else if (visualMode === "char") {
+    const [start, end] = getVisualSelection(
+      visualMode,
+      visualAnchor,
+      visualCursor,
+      rep,
+    );
+    setVisualMode(null);
+    applyCharOperator(operator, start, end, editorInfo, rep);
+  } else {
+    setVisualMode(null);
+    applyLineOperator(operator, topLine, bottomLine, editorInfo, rep, 0);
+  }
+};
+
+// --- Ctrl-A / Ctrl-X ---
+
+// The text of each selected line that Ctrl-A looks for a number in.
+const visualSegments = (rep) => {
+  if (visualMode === "block") return getCurrentBlock(rep).segments;
+  const [start, end] = orderPositions(visualAnchor, visualCursor);
+  const segments = [];
+  for (let line = start[0]; line <= end[0]; line++) {
+    const lineText = getLineText(rep, line);
+    const charwise = visualMode === "char";
+    segments.push({
+      line,
+      start: charwise && line === start[0] ? start[1] : 0,
+      end: charwise && line === end[0] ? end[1] : lineText.length,
+    });
+  }
+  return segments;
+};
+
+// Visual Ctrl-A adds delta to the first number in every selected line; with
+// progressive (g Ctrl-A) the nth number found gets n times delta.
+const incrementVisual = (editorInfo, rep, delta, progressive) => {
+  const segments = visualSegments(rep);
+  const [top] = segments;
+  setVisualMode(null);
+  let found = 0;
+  for (const { line, start, end } of segments) {
+    const text = getLineText(rep, line).slice(start, end);
+    const step = progressive ? delta * (found + 1) : delta;
+    const result = incrementNumber(text, 0, step);
+    if (!result) continue;
+    found++;
+    replaceRange(editorInfo, [line, start], [line, end], result.text);
+  }
+  if (found === 0) commandFailed = true;
+  const topText = getLineText(rep, top.line);
+  moveBlockCursor(editorInfo, top.line, clampChar(top.start, topText));
+};
+
+// --- Line helpers shared by J and ex commands ---
+
+const joinLines = (editorInfo, rep, line, joins) => {
+  let cursorChar = getLineText(rep, line).length;
+  for (let i = 0; i < joins; i++) {
+    const curLineText = getLineText(rep, line);
+    const nextLineText = getLineText(rep, line + 1);
+    const trimmedNext = nextLineText.replace(/^\s+/, "");
+    const separator = curLineText.length === 0 ? "" : " ";
+    if (i === 0) cursorChar = curLineText.length;
+    replaceRange(
+      editorInfo,
+      [line, curLineText.length],
+      [line + 1, nextLineText.length],
+      separator + trimmedNext,
+    );
+  }
+  return cursorChar;
+};
+
+const moveLines = (editorInfo, rep, topLine, bottomLine, target) => {
+  if (target >= topLine && target < bottomLine) {
+    return "E134: Cannot move a range of lines into itself";
+  }
+  const block = getLines(rep, topLine, bottomLine);
+  let cursorLine = bottomLine;
+  if (target > bottomLine) {
+    const between = getLines(rep, bottomLine + 1, target);
+    replaceLines(editorInfo, rep, topLine, target, between.concat(block));
+    cursorLine = target;
+  } else if (target < topLine - 1) {
+    const between = getLines(rep, target + 1, topLine - 1);
+    replaceLines(
+      editorInfo,
+      rep,
+      target + 1,
+      bottomLine,
+      block.concat(between),
+    );
+    cursorLine = target + block.length;
+  }
+  moveBlockCursor(
+    editorInfo,
+    cursorLine,
+    firstNonBlank(getLineText(rep, cursorLine)),
+  );
+  return null;
+};
+
+const copyLines = (editorInfo, rep, topLine, bottomLine, target) => {
+  const block = getLines(rep, topLine, bottomLine);
+  if (target < 0) {
+    replaceRange(editorInfo, [0, 0], [0, 0], block.join("\n") + "\n");
+  } else {
+    const targetLen = getLineText(rep, target).length;
+    replaceRange(
+      editorInfo,
+      [target, targetLen],
+      [target, targetLen],
+      "\n" + block.join("\n"),
+    );
+  }
+  const cursorLine = target + block.length;
+  moveBlockCursor(
+    editorInfo,
+    cursorLine,
+    firstNonBlank(getLineText(rep, cursorLine)),
+  );
+};
+
+// --- Ex commands ---
+//
+// Each command receives the parsed range (defaulting to the cursor line) and
+// the raw argument text. Returning a string reports it as an error message.
+
+const exCommands = [];
+
+const registerExCommand = (name, minLength, run, preview = null) => {
+  exCommands.push({ name, minLength, run, preview });
+};
+
+const exContext = (rep, line) => {
+  const lineMarks = {};
+  for (const key of Object.keys(marks)) lineMarks[key] = marks[key][0];
+  return { line, lastLine: rep.lines.length() - 1, marks: lineMarks };
+};
+
+const parseLineCount = (args) => {
+  const trimmed = args.trim();
+  if (trimmed === "") return { count: null };
+  if (!/^\d+$/.test(trimmed)) return { error: "E488: Trailing characters" };
+  return { count: parseInt(trimmed, 10) };
+};
+
+const parseRegisterAndCount = (args) => {
+  const m = /^\s*([a-zA-Z"\-_])?\s*(\d+)?\s*$/.exec(args);
+  if (!m) return { error: "E488: Trailing characters" };
+  return {
+    register: m[1] || null,
+    count: m[2] ? parseInt(m[2], 10) : null,
+  };
+};
+
+const parseTargetLine = (args, ctx) => {
+  const address = parseExAddress(args.trim(), 0, ctx);
+  if (!address || address.error || address.pos !== args.trim().length) {
+    return { error: (address && address.error) || "E14: Invalid address" };
+  }
+  if (address.line < -1 || address.line > ctx.lastLine) {
+    return { error: "E16: Invalid range" };
+  }
+  return { line: address.line };
+};
+
+const countedRange = (ex, count) => {
+  if (count === null) return { start: ex.start, end: ex.end };
+  const lastLine = ex.rep.lines.length() - 1;
+  return { start: ex.end, end: Math.min(ex.end + count - 1, lastLine) };
+};
+
+registerExCommand("delete", 1, (ex) => {
+  const { register, count, error } = parseRegisterAndCount(ex.args);
+  if (error) return error;
+  const { start, end } = countedRange(ex, count);
+  pendingRegister = register;
+  applyLineOperator("d", start, end, ex.editorInfo, ex.rep, 0);
+  return null;
+});
+
+registerExCommand("yank", 1, (ex) => {
+  const { register, count, error } = parseRegisterAndCount(ex.args);
+  if (error) return error;
+  const { start, end } = countedRange(ex, count);
+  pendingRegister = register;
+  setRegister(getLines(ex.rep, start, end), "yank");
+  return null;
+});
+
+registerExCommand("move", 1, (ex) => {
+  const target = parseTargetLine(ex.args, ex.ctx);
+  if (target.error) return target.error;
+  return moveLines(ex.editorInfo, ex.rep, ex.start, ex.end, target.line);
+});
+
+const copyCommand = (ex) => {
+  const target = parseTargetLine(ex.args, ex.ctx);
+  if (target.error) return target.error;
+  copyLines(ex.editorInfo, ex.rep, ex.start, ex.end, target.line);
+  return null;
+};
+
+registerExCommand("copy", 2, copyCommand);
+registerExCommand("t", 1, copyCommand);
+
+registerExCommand("join", 1, (ex) => {
+  const { count, error } = parseLineCount(ex.args);
+  if (error) return error;
+  const lastLine = ex.rep.lines.length() - 1;
+  let { start, end } = countedRange(ex, count);
+  if (count === null && start === end) end = start + 1;
+  end = Math.min(end, lastLine);
+  if (end <= start) return null;
+  const cursorChar = joinLines(ex.editorInfo, ex.rep, start, end - start);
+  moveBlockCursor(ex.editorInfo, start, cursorChar);
+  return null;
+});
+
+// Options set from the command line are kept in localStorage and applied on
+// top of the vimrc, so they last across pads and reloads; name& and all& drop
+// them again. A textwidth of 0 means the default width, as in Vim.
+const OPTIONS_KEY = "ep_vimOptions";
+
+const formatWidth = () => options.textwidth || OPTION_DEFS.textwidth.default;
+
+const loadSavedOptions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OPTIONS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// Saved values go through setOption like typed ones, so a corrupt value
+// that :set would refuse is ignored and the option keeps its default.
+const applySavedOptions = () => {
+  for (const [name, value] of Object.entries(loadSavedOptions())) {
+    if (!(name in OPTION_DEFS) || typeof value !== typeof options[name]) {
+      continue;
+    }
+    if (typeof value === "boolean") setOption(value ? name : `no${name}`);
+    else setOption(`${name}=${value}`);
+  }
+};
+
+// Lists the options in columns, the way :set all does.
+const listOptions = (names) => {
+  if (names.length === 0) {
+    showMessage("--- Options ---");
+    return;
+  }
+  const items = names.map(formatOption);
+  const width = Math.max(...items.map((item) => item.length)) + 2;
+  const columns = Math.max(1, Math.floor(80 / width));
+  const rows = Math.ceil(items.length / columns);
+  const lines = ["--- Options ---"];
+  for (let row = 0; row < rows; row++) {
+    const cells = [];
+    for (let i = row; i < items.length; i += rows) {
+      cells.push(items[i].padEnd(width));
+    }
+    lines.push(`  ${cells.join("").trimEnd()}`);
+  }
+  showMessage(lines.join("\n"));
+};
+
+registerExCommand("set", 2, (ex) => {
+  const args = ex.args.trim().split(/\s+/).filter(Boolean);
+  const names = Object.keys(OPTION_DEFS);
+  if (args.length === 0) {
+    listOptions(
+      names.filter((name) => options[name] !== OPTION_DEFS[name].default),
+    );
+    return null;
+  }
+  const saved = loadSavedOptions();
+  const shown = [];
+  let changed = false;
+  let error = null;
+  for (const arg of args) {
+    if (arg === "all") {
+      listOptions(names);
+      continue;
+    }
+    if (arg === "all&") {
+      resetOptions();
+      for (const name of names) delete saved[name];
+      changed = true;
+      continue;
+    }
+    const result = setOption(arg);
+    if (result.error) {
+      error = result.error;
+      break;
+    }
+    if (result.show) {
+      shown.push(result.show);
+      continue;
+    }
+    if (arg.endsWith("&")) delete saved[result.name];
+    else saved[result.name] = options[result.name];
+    changed = true;
+  }
+  if (changed && !ex.config)
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(saved));
+  if (!error && shown.length > 0) showMessage(`  ${shown.join("  ")}`);
+  return error;
+});
+
+registerExCommand("nohlsearch", 3, () => {
+  clearSearchHighlight();
+  return null;
+});
+
+// --- Substitute ---
+//
+// Without confirm, all matches in the range are computed against the original
+// text before anything changes and applied as a single edit.
+
+const resolveSubstitute = (args) => {
+  const parsed = args.trim() === "" ? lastSubstitute : parseSubstitute(args);
+  if (!parsed) return { error: "E35: No previous regular expression" };
+  if (parsed.error) return parsed;
+  const pattern =
+    parsed.pattern !== "" ? parsed.pattern : lastSearch && lastSearch.pattern;
+  if (!pattern) return { error: "E35: No previous regular expression" };
+  // A leading & keeps the flags of the previous substitute.
+  const flags = parsed.flags.startsWith("&")
+    ? (lastSubstitute ? lastSubstitute.flags : "") + parsed.flags.slice(1)
+    : parsed.flags;
+  const ignoreCase = flags.includes("i")
+    ? true
+    : flags.includes("I")
+      ? false
+      : undefined;
+  const regex = compileSearch(pattern, ignoreCase);
+  if (!regex) return { error: `E383: Invalid search string: ${pattern}` };
+  return { ...parsed, pattern, flags, regex };
+};
+
+const collectSubstitutions = (rep, start, end, sub) => {
+  const matches = [];
+  const global = sub.flags.includes("g");
+  for (let line = start; line <= end; line++) {
+    const lineText = getLineText(rep, line);
+    for (const m of substituteMatches(
+      lineText,
+      sub.regex,
+      sub.replacement,
+      global,
+    )) {
+      matches.push({ line, ...m });
+    }
+  }
+  return matches;
+};
+
+// Leaves the cursor on the last line changed and reports the count, as Vim
+// does for more than two substitutions.
+const reportSubstitutions = (editorInfo, rep, count, lines, lastLine) => {
+  if (count === 0) return;
+  moveBlockCursor(
+    editorInfo,
+    lastLine,
+    firstNonBlank(getLineText(rep, lastLine)),
+  );
+  if (count > 2) {
+    showMessage(
+      `${count} substitutions on ${lines} line${lines === 1 ? "" : "s"}`,
+    );
+  }
+};
+
+const applySubstituteMatches = (editorInfo, rep, matches) => {
+  const byLine = new Map();
+  for (const m of matches) {
+    if (!byLine.has(m.line)) byLine.set(m.line, []);
+    byLine.get(m.line).push(m);
+  }
+  const lines = [...byLine.keys()].sort((a, b) => b - a);
+  for (const line of lines) {
+    const newText = applySubstitutions(
+      getLineText(rep, line),
+      byLine.get(line),
+    );
+    replaceLines(editorInfo, rep, line, line, [newText]);
+  }
+  const addedLines = matches.reduce(
+    (n, m) => n + m.text.split("\n").length - 1,
+    0,
+  );
+  reportSubstitutions(
+    editorInfo,
+    rep,
+    matches.length,
+    lines.length,
+    lines[0] + addedLines,
+  );
+};
+
+// Confirm mode replaces each accepted match straight away, as Vim does, and
+// looks for the next one in the line as it is by then, so that a pad edited
+// meanwhile by other authors is never patched from stale offsets. pos is
+// where the search resumes; it follows their edits, as do endLine, the last
+// line of the range, and lastLine, the last line changed.
+const nextConfirmMatch = (rep, state) => {
+  const endLine = Math.min(state.endLine, rep.lines.length() - 1);
+  for (let line = state.pos[0]; line <= endLine; line++) {
+    const from = line === state.pos[0] ? state.pos[1] : 0;
+    const match = substituteMatches(
+      getLineText(rep, line),
+      state.regex,
+      state.replacement,
+      state.global,
+    ).find((m) => m.start >= from);
+    if (match) return { line, ...match };
+  }
+  return null;
+};
+
+// Without g only the first match of a line is offered. An empty match is
+// stepped over so that it is not offered again.
+const skipConfirmMatch = (state, match, [line, char]) => {
+  state.pos = state.global
+    ? [line, char + (match.start === match.end ? 1 : 0)]
+    : [line + 1, 0];
+};
+
+const acceptConfirmMatch = (editorInfo, rep, state, match) => {
+  const lineText = getLineText(rep, match.line);
+  replaceLines(editorInfo, rep, match.line, match.line, [
+    applySubstitutions(lineText, [match]),
+  ]);
+  const pieces = match.text.split("\n");
+  const line = match.line + pieces.length - 1;
+  const char =
+    (pieces.length > 1 ? 0 : match.start) + pieces[pieces.length - 1].length;
+  if (match.line !== state.lastLine) state.lines++;
+  state.count++;
+  state.lastLine = line;
+  state.endLine += pieces.length - 1;
+  skipConfirmMatch(state, match, [line, char]);
+};
+
+const showSubstituteConfirm = (editorInfo, rep) => {
+  const match = nextConfirmMatch(rep, substituteConfirm);
+  if (!match) {
+    finishSubstituteConfirm(editorInfo, rep);
+    return;
+  }
+  setHighlight("vim-substitute", [match]);
+  moveBlockCursor(editorInfo, match.line, match.start);
+  showMessage(`replace with ${substituteConfirm.replacement} (y/n/a/q/l)?`);
+};
+
+const finishSubstituteConfirm = (editorInfo, rep) => {
+  const { count, lines, lastLine } = substituteConfirm;
+  substituteConfirm = null;
+  setHighlight("vim-substitute", []);
+  showMessage("");
+  reportSubstitutions(editorInfo, rep, count, lines, lastLine);
+};
+
+const handleSubstituteConfirmKey = (rep, editorInfo, key) => {
+  const state = substituteConfirm;
+  const match = nextConfirmMatch(rep, state);
+  if (!match || key === "q" || key === "Escape") {
+    finishSubstituteConfirm(editorInfo, rep);
+    return;
+  }
+  if (key === "a") {
+    for (let m = match; m; m = nextConfirmMatch(rep, state)) {
+      acceptConfirmMatch(editorInfo, rep, state, m);
+    }
+  } else if (key === "y" || key === "l") {
+    acceptConfirmMatch(editorInfo, rep, state, match);
+    if (key === "l") {
+      finishSubstituteConfirm(editorInfo, rep);
+      return;
+    }
+  } else if (key === "n") {
+    skipConfirmMatch(state, match, [match.line, match.end]);
+  } else {
+    return;
+  }
+  showSubstituteConfirm(editorInfo, rep);
+};
+
+// While :s is typed the matches are highlighted and each replacement is drawn
+// over its match, on the lines in view; the pad itself only changes once the
+// command runs, since every edit reaches the other authors straight away.
+const showSubstitutePreview = (matches) => {
+  setHighlight(
+    "vim-substitute",
+    matches.filter((m) => m.end > m.start),
+  );
+  for (const el of substitutePreviewEls) el.remove();
+  substitutePreviewEls = [];
+  const rep = currentRep;
+  if (!editorDoc || !rep || matches.length === 0) return;
+  const { top, bottom } = getVisibleLineRange(rep);
+  const win = editorDoc.defaultView;
+  const font = win.getComputedStyle(editorDoc.body).font;
+  for (const m of matches) {
+    // A deleted match keeps only its highlight.
+    if (!m.text || m.line < top || m.line > bottom) continue;
+    const box = measureCursor(rep, m.line, m.start);
+    if (!box) continue;
+    const range =
+      m.end > m.start ? domRange(rep, m.line, m.start, m.end) : null;
+    const rect = range ? range.getClientRects()[0] : null;
+    const el = editorDoc.createElement("span");
+    el.className = "vim-substitute-preview";
+    el.textContent = m.text.replace(/\n/g, "\u23ce");
+    el.style.font = font;
+    el.style.left = `${box.left + win.scrollX}px`;
+    el.style.top = `${box.top + win.scrollY}px`;
+    el.style.minWidth = `${rect ? rect.width : 0}px`;
+    el.style.lineHeight = `${box.height}px`;
+    editorDoc.documentElement.appendChild(el);
+    substitutePreviewEls.push(el);
+  }
+};
+
+registerExCommand(
+  "substitute",
+  1,
+  (ex) => {
+    const sub = resolveSubstitute(ex.args);
+    if (sub.error) return sub.error;
+    lastSubstitute = {
+      pattern: sub.pattern,
+      replacement: sub.replacement,
+      flags: sub.flags,
+    };
+    lastSearch = { pattern: sub.pattern, direction: "/" };
+    const matches = collectSubstitutions(ex.rep, ex.start, ex.end, sub);
+    if (matches.length === 0) {
+      return sub.flags.includes("e")
+        ? null
+        : `E486: Pattern not found: ${sub.pattern}`;
+    }
+    if (sub.flags.includes("n")) {
+      const lines = new Set(matches.map((m) => m.line)).size;
+      showMessage(
+        `${matches.length} match${matches.length === 1 ? "" : "es"} on ${lines} line${
+          lines === 1 ? "" : "s"
+        }`,
+      );
+      return null;
+    }
+    if (sub.flags.includes("c")) {
+      substituteConfirm = {
+        regex: sub.regex,
+        replacement: sub.replacement,
+        global: sub.flags.includes("g"),
+        pos: [ex.start, 0],
+        endLine: ex.end,
+        count: 0,
+        lines: 0,
+        lastLine: null,
+      };
+      showSubstituteConfirm(ex.editorInfo, ex.rep);
+      return null;
+    }
+    applySubstituteMatches(ex.editorInfo, ex.rep, matches);
+    return null;
+  },
+  (ex) => {
+    const sub = resolveSubstitute(ex.args);
+    if (sub.error) return [];
+    const matches = collectSubstitutions(ex.rep, ex.start, ex.end, sub);
+    // With n nothing is replaced, so there is nothing to show but the matches.
+    return sub.flags.includes("n")
+      ? matches.map(({ line, start, end }) => ({ line, start, end }))
+      : matches;
+  },
+);
+
+const executeExCommand = (rep, editorInfo, text) => {
+  const line = rep.selStart[0];
+  const ctx = exContext(rep, line);
+  const range = parseExRange(text, ctx);
+  if (range.error) {
+    showMessage(range.error, true);
+    return;
+  }
+  const { name, bang, args } = parseExCommand(range.rest);
+  const hasRange = range.start !== null;
+  if (name === "") {
+    if (args.trim() !== "") {
+      showMessage(`E492: Not an editor command: ${text.trim()}`, true);
+    } else if (hasRange) {
+      const target = clampLine(range.end, rep);
+      desiredColumn = null;
+      recordJump(rep.selStart);
+      applyMotion(
+        editorInfo,
+        rep,
+        target,
+        firstNonBlank(getLineText(rep, target)),
+      );
+    }
+    return;
+  }
+  const cmd = findExCommand(exCommands, name);
+  if (!cmd) {
+    showMessage(`E492: Not an editor command: ${text.trim()}`, true);
+    return;
+  }
+  if (hasRange && (range.start < -1 || range.end > ctx.lastLine)) {
+    showMessage("E16: Invalid range", true);
+    return;
+  }
+  const error = cmd.run({
+    rep,
+    editorInfo,
+    ctx,
+    hasRange,
+    start: hasRange ? Math.max(0, range.start) : line,
+    end: hasRange ? Math.max(0, range.end) : line,
+    bang,
+    args,
+  });
+  if (error) showMessage(error, true);
+};
+
+const completeExCommandLine = (text) => {
+  if (!currentRep) return null;
+  const range = parseExRange(
+    text,
+    exContext(currentRep, currentRep.selStart[0]),
+  );
+  if (range.error || !/^[a-zA-Z]*$/.test(range.rest)) return null;
+  return {
+    base: text.slice(0, text.length - range.rest.length),
+    matches: completeExCommand(exCommands, range.rest),
+  };
+};
+
+const previewExCommandLine = (text) => {
+  let matches = [];
+  const rep = currentRep;
+  const line = rep ? rep.selStart[0] : 0;
+  const ctx = rep ? exContext(rep, line) : null;
+  const range = ctx ? parseExRange(text, ctx) : { error: true };
+  if (!range.error) {
+    const { name, args } = parseExCommand(range.rest);
+    const cmd = name !== "" ? findExCommand(exCommands, name) : null;
+    const hasRange = range.start !== null;
+    if (
+      cmd &&
+      cmd.preview &&
+      args.trim() !== "" &&
+      (!hasRange || (range.start >= -1 && range.end <= ctx.lastLine))
+    ) {
+      matches = cmd.preview({
+        rep,
+        ctx,
+        hasRange,
+        start: hasRange ? Math.max(0, range.start) : line,
+        end: hasRange ? Math.max(0, range.end) : line,
+        args,
+      });
+    }
+  }
+  showSubstitutePreview(matches);
+};
+
+const openExCommandLine = (text) => {
+  pendingChange = null;
+  openCommandLine(":", executeExCommand, {
+    text,
+    complete: completeExCommandLine,
+    onChange: previewExCommandLine,
+    onClose: () => showSubstitutePreview([]),
+    repeatable: false,
+  });
+};
+
+// --- Macros ---
+//
+// Every key that reaches processKey while recording is stored in Vim key
+// notation, so a macro can be pasted, edited and yanked back like any other
+// register. Playback feeds the keys through processKey again, inserting text
+// itself for keys typed in insert mode, and stops at the first failed command.
+
+const MAX_MACRO_DEPTH = 100;
+
+const renderRecording = () => {
+  const el = getCommandLineEl();
+  if (!el) return;
+  if (macroRecording) {
+    el.dataset.recording = `recording @${macroRecording.register}`;
+  } else {
+    delete el.dataset.recording;
+  }
+};
+
+const startMacroRecording = (register) => {
+  macroRecording = { register, keys: [] };
+  renderRecording();
+};
+
+const stopMacroRecording = () => {
+  const { register, keys } = macroRecording;
+  macroRecording = null;
+  keys.pop();
+  const text = encodeKeys(keys);
+  if (register >= "A" && register <= "Z") {
+    const lower = register.toLowerCase();
+    registers[lower] = appendRegisterValue(registers[lower], text);
+  } else {
+    registers[register] = text;
+  }
+  renderRecording();
+};
+
+const playMacro = (rep, editorInfo, name, count) => {
+  const value = name && isRegisterName(name) ? getRegister(name) : null;
+  if (value === null || macroDepth >= MAX_MACRO_DEPTH) {
+    commandFailed = true;
+    return;
+  }
+  lastMacro = name;
+  const keys = parseKeyNotation(registerText(value));
+  pendingChange = null;
+  macroDepth++;
+  for (let n = 0; n < count && !macroAborted; n++) {
+    for (const key of keys) {
+      processKey(rep, editorInfo, key, false);
+      if (commandFailed || macroAborted) {
+        macroAborted = true;
+        break;
+      }
+    }
+  }
+  macroDepth--;
+  if (macroDepth === 0) {
+    commandFailed = macroAborted;
+    macroAborted = false;
   }
+};
 
-  if (key === "f" || key === "F" || key === "t" || key === "T") {
-    pendingKey = key;
-    return "pending";
+// With autoindent a new line starts with the indent of the line it was
+// opened from.
+const autoIndent = (lineText) =>
+  options.autoindent ? /^[ \t]*/.exec(lineText)[0] : "";
+
+const insertKey = (rep, editorInfo, key) => {
+  const [line, char] = rep.selStart;
+  if (key === "Backspace") {
+    if (char > 0) {
+      replaceRange(editorInfo, [line, char - 1], [line, char], "");
+      moveCursor(editorInfo, line, char - 1);
+    } else if (line > 0) {
+      const prevLen = getLineText(rep, line - 1).length;
+      replaceRange(editorInfo, [line - 1, prevLen], [line, 0], "");
+      moveCursor(editorInfo, line - 1, prevLen);
+    }
+    return;
+  }
+  let text = null;
+  if (key === "Enter") text = "\n";
+  else if (key === "Tab") text = "\t";
+  else if (key.length === 1) text = key;
+  if (text === null) return;
+  if (text === "\n") {
+    const indent = autoIndent(getLineText(rep, line));
+    replaceRange(editorInfo, [line, char], [line, char], text + indent);
+    moveCursor(editorInfo, line + 1, indent.length);
+  } else {
+    replaceRange(editorInfo, [line, char], [line, char], text);
+    moveCursor(editorInfo, line, char + 1);
   }
+};
 
-  if (key === "'" || key === "`") {
-    pendingKey = key;
-    return "pending";
+// Enter inserts a line break rather than replacing a character, as in Vim;
+// in gR it overwrites the rest of the line and carries on at the start of the
+// next, unless this is the last line. Backspace past the start of the
+// session only moves the cursor. Returns false for keys that are not typed
+// text, which also forget what was replaced since the cursor may move away
+// from it.
+const replaceKey = (rep, editorInfo, key) => {
+  const [line, char] = rep.selStart;
+  if (key === "Backspace") {
+    const original = replacedText.pop();
+    if (original === undefined) {
+      if (char > 0) moveCursor(editorInfo, line, char - 1);
+    } else if (original === "\n") {
+      const prevLen = getLineText(rep, line - 1).length;
+      replaceRange(editorInfo, [line - 1, prevLen], [line, 0], "");
+      moveCursor(editorInfo, line - 1, prevLen);
+    } else if (typeof original === "object") {
+      const prevLen = getLineText(rep, line - 1).length;
+      replaceRange(
+        editorInfo,
+        [line - 1, prevLen],
+        [line - 1, prevLen],
+        original.rest,
+      );
+      moveCursor(editorInfo, line - 1, prevLen);
+    } else {
+      replaceRange(editorInfo, [line, char - 1], [line, char], original);
+      moveCursor(editorInfo, line, char - 1);
+    }
+    return true;
+  }
+  if (key === "Enter" && virtualReplace && line < rep.lines.length() - 1) {
+    const lineText = getLineText(rep, line);
+    replaceRange(editorInfo, [line, char], [line, lineText.length], "");
+    replacedText.push({ rest: lineText.slice(char) });
+    moveCursor(editorInfo, line + 1, 0);
+    return true;
+  }
+  if (key === "Enter") {
+    replaceRange(editorInfo, [line, char], [line, char], "\n");
+    replacedText.push("\n");
+    moveCursor(editorInfo, line + 1, 0);
+    return true;
+  }
+  const text = key === "Tab" ? "\t" : key;
+  if (text.length !== 1) {
+    replacedText = [];
+    return false;
   }
+  const lineText = getLineText(rep, line);
+  const end = virtualReplace
+    ? virtualReplaceEnd(lineText, char, text)
+    : Math.min(char + 1, lineText.length);
+  replaceRange(editorInfo, [line, char], [line, end], text);
+  replacedText.push(lineText.slice(char, end));
+  moveCursor(editorInfo, line, char + 1);
+  return true;
+};
 
-  if (key === "g") {
-    pendingKey = "g";
-    return "pending";
+// Types text over the pad as replace mode would, for a count and for `.`.
+const replaceText = (rep, editorInfo, text) => {
+  for (const ch of text) {
+    const key = ch === "\n" ? "Enter" : ch === "\t" ? "Tab" : ch;
+    replaceKey(rep, editorInfo, key);
   }
+};
 
-  if (key === "%") {
-    const pos = matchingBracketPos(rep, line, char);
-    if (pos) {
-      desiredColumn = null;
-      return { line: pos.line, char: pos.char };
+// R and gR. A count types the text over again when Escape ends the replace,
+// so 3Rab<Esc> leaves ababab.
+const startReplace = (editorInfo, line, char, count, virtual) => {
+  desiredColumn = null;
+  moveCursor(editorInfo, line, char);
+  setInsertMode(true, true, virtual);
+  replaceCount = count;
+};
+
+// --- Mappings ---
+//
+// Typed keys wait in mapBuffer while they could still be the start of a
+// mapping, for up to timeoutlen milliseconds. Keys that turn out not to be
+// one run as typed, and are inserted as text in insert mode. A mapping's rhs
+// runs in place of its lhs and is mapped again unless it is a noremap.
+
+const mappings = { n: new Map(), v: new Map(), o: new Map(), i: new Map() };
+
+// Vim gives up on a mapping that keeps expanding into further mappings.
+const MAX_MAP_DEPTH = 1000;
+
+const currentMapMode = () => {
+  if (commandLine !== null || substituteConfirm !== null) return null;
+  // The key after Ctrl-R, f, r, m and the like is never mapped.
+  if (pendingKey !== null) return null;
+  if (insertMode) return "i";
+  if (visualMode !== null) return "v";
+  return pendingOperator !== null ? "o" : "n";
+};
+
+const waitForMapping = () => {
+  for (const entry of mapBuffer) entry.native = false;
+  mapTimer = setTimeout(() => {
+    mapTimer = null;
+    if (currentRep && mapEditorInfo) {
+      runMappedKeys(currentRep, mapEditorInfo, true);
+      renderStatusLine(currentRep);
+      renderCursor(currentRep);
     }
-    return { line, char };
+  }, options.timeoutlen);
+};
+
+// Returns whether the typed key was consumed, like processKey. Only the key
+// of the current event can be left to the browser.
+const runMappedKeys = (rep, editorInfo, timedOut) => {
+  let handled = true;
+  let depth = 0;
+  while (mapBuffer.length > 0) {
+    const mode = currentMapMode();
+    const typed = [];
+    for (const entry of mapBuffer) {
+      if (!entry.remap) break;
+      typed.push(entry.key);
+    }
+    const { mapping, partial } =
+      mode !== null && typed.length > 0
+        ? lookupMapping(mappings[mode].values(), typed)
+        : { mapping: null, partial: false };
+    if (partial && !timedOut) {
+      waitForMapping();
+      return true;
+    }
+    timedOut = false;
+    if (mapping) {
+      if (++depth > MAX_MAP_DEPTH) {
+        mapBuffer = [];
+        showMessage("E223: Recursive mapping", true);
+        return true;
+      }
+      // An rhs that starts with its own lhs does not map those keys again.
+      const self = startsWithKeys(mapping.rhs, mapping.lhs);
+      const expanded = mapping.rhs.map((key, i) => ({
+        key,
+        remap: !mapping.noremap && !(self && i < mapping.lhs.length),
+        native: false,
+      }));
+      mapBuffer = [...expanded, ...mapBuffer.slice(mapping.lhs.length)];
+      continue;
+    }
+    const entry = mapBuffer.shift();
+    const result = processKey(rep, editorInfo, entry.key, entry.native);
+    if (entry.native) handled = result;
   }
+  return handled;
+};
 
-  if (key === "H") {
-    desiredColumn = null;
-    const { top } = getVisibleLineRange(rep);
-    const targetLine = clampLine(top + count - 1, rep);
-    const targetText = getLineText(rep, targetLine);
-    return { line: targetLine, char: firstNonBlank(targetText) };
+const mapKey = (rep, editorInfo, key) => {
+  clearTimeout(mapTimer);
+  mapTimer = null;
+  mapEditorInfo = editorInfo;
+  mapBuffer.push({ key, remap: true, native: true });
+  return runMappedKeys(rep, editorInfo, false);
+};
+
+// :map and friends. The modes are some of n, v, o and i; with a bang, :map!
+// and :noremap! map insert mode instead.
+
+const MAP_COMMANDS = [
+  ["map", 3, "nvo", false],
+  ["noremap", 2, "nvo", true],
+  ["nmap", 2, "n", false],
+  ["nnoremap", 2, "n", true],
+  ["vmap", 2, "v", false],
+  ["vnoremap", 2, "v", true],
+  ["xmap", 2, "v", false],
+  ["xnoremap", 2, "v", true],
+  ["omap", 2, "o", false],
+  ["onoremap", 3, "o", true],
+  ["imap", 2, "i", false],
+  ["inoremap", 3, "i", true],
+];
+
+const UNMAP_COMMANDS = [
+  ["unmap", 3, "nvo"],
+  ["nunmap", 3, "n"],
+  ["vunmap", 2, "v"],
+  ["xunmap", 2, "v"],
+  ["ounmap", 2, "o"],
+  ["iunmap", 2, "i"],
+];
+
+// Accepted for compatibility with existing vimrcs; none of them changes
+// anything here.
+const MAP_ARGUMENTS = /^<(?:silent|buffer|nowait|unique|special)>\s*/i;
+
+const parseMapArgs = (args) => {
+  let text = args.trimStart();
+  while (MAP_ARGUMENTS.test(text)) text = text.replace(MAP_ARGUMENTS, "");
+  const m = /^(\S+)(?:\s+([\s\S]*))?$/.exec(text);
+  if (!m) return { lhs: null, rhs: null };
+  return { lhs: parseKeyNotation(m[1], mapLeader), rhs: m[2] || null };
+};
+
+const listMappings = (modes, lhs) => {
+  const lines = [];
+  for (const mode of modes) {
+    for (const mapping of mappings[mode].values()) {
+      if (lhs !== null && !startsWithKeys(mapping.lhs, lhs)) continue;
+      const flag = mapping.noremap ? "*" : " ";
+      const keys = encodeKeys(mapping.lhs).padEnd(12);
+      lines.push(`${mode}  ${keys} ${flag} ${encodeKeys(mapping.rhs)}`);
+    }
   }
+  showMessage(lines.length > 0 ? lines.join("\n") : "No mapping found");
+};
 
-  if (key === "M") {
-    desiredColumn = null;
-    const { mid } = getVisibleLineRange(rep);
-    const targetText = getLineText(rep, mid);
-    return { line: mid, char: firstNonBlank(targetText) };
+const defineMapping = (ex, modes, noremap) => {
+  const { lhs, rhs } = parseMapArgs(ex.args);
+  if (rhs === null) {
+    listMappings(ex.bang ? "i" : modes, lhs);
+    return null;
   }
+  const mapping = {
+    lhs,
+    rhs: /^<nop>$/i.test(rhs.trim()) ? [] : parseKeyNotation(rhs, mapLeader),
+    noremap,
+  };
+  for (const mode of ex.bang ? "i" : modes) {
+    mappings[mode].set(encodeKeys(lhs), mapping);
+  }
+  return null;
+};
 
-  if (key === "L") {
-    desiredColumn = null;
-    const { bottom } = getVisibleLineRange(rep);
-    const targetLine = clampLine(bottom - count + 1, rep);
-    const targetText = getLineText(rep, targetLine);
-    return { line: targetLine, char: firstNonBlank(targetText) };
+const removeMapping = (ex, modes) => {
+  const { lhs } = parseMapArgs(ex.args);
+  if (lhs === null) return "E474: Invalid argument";
+  let found = false;
+  for (const mode of ex.bang ? "i" : modes) {
+    if (mappings[mode].delete(encodeKeys(lhs))) found = true;
   }
+  return found ? null : "E31: No such mapping";
+};
+
+for (const [name, minLength, modes, noremap] of MAP_COMMANDS) {
+  registerExCommand(name, minLength, (ex) => defineMapping(ex, modes, noremap));
+}
+
+for (const [name, minLength, modes] of UNMAP_COMMANDS) {
+  registerExCommand(name, minLength, (ex) => removeMapping(ex, modes));
+}
 
+// Only mapleader can be set: :let mapleader = "," or "\<Space>". In a double
+// quoted string \<...> is a key and a bare < is just the character.
+registerExCommand("let", 3, (ex) => {
+  const m = /^\s*(\w+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)')\s*$/.exec(
+    ex.args,
+  );
+  if (!m) return `E15: Invalid expression: "${ex.args.trim()}"`;
+  if (m[1] !== "mapleader") return `E461: Illegal variable name: ${m[1]}`;
+  const keys =
+    m[3] !== undefined
+      ? [...m[3]]
+      : parseKeyNotation(
+          m[2].replace(
+            /\\(<[^>]+>)|\\(.)|</g,
+            (match, key, escaped) => key || escaped || "<lt>",
+          ),
+        );
+  mapLeader = keys.length > 0 ? keys : ["\\"];
   return null;
-};
+});
 
-// --- Apply motion (mode-aware cursor placement) ---
+// --- Abbreviations ---
+//
+// Insert-mode abbreviations expand when a character that cannot be part of
+// a word is typed after them, or on Escape. The rhs is inserted as it is.
 
-const applyMotion = (editorInfo, rep, newLine, newChar) => {
-  if (visualMode !== null) {
-    visualCursor = [newLine, newChar];
-    updateVisualSelection(editorInfo, rep);
-  } else {
-    moveBlockCursor(editorInfo, newLine, newChar);
+const abbreviations = new Map();
+
+const isAbbreviationTrigger = (key) =>
+  key === "Enter" || key === "Tab" || (key.length === 1 && !isWordChar(key));
+
+const expandAbbreviation = (rep, editorInfo) => {
+  if (abbreviations.size === 0) return;
+  const [line, char] = rep.selStart;
+  const from = insertStart && insertStart[0] === line ? insertStart[1] : 0;
+  const lineText = getLineText(rep, line);
+  const match = abbreviationAt(lineText, char, abbreviations, from);
+  if (!match) return;
+  replaceRange(editorInfo, [line, match.start], [line, char], match.rhs);
+  moveCursor(editorInfo, line, match.start + match.rhs.length);
+  forgetInserted(char - match.start);
+  if (insertedText !== null) insertedText += match.rhs;
+};
+
+const listAbbreviations = (lhs) => {
+  const lines = [];
+  for (const [key, rhs] of abbreviations) {
+    if (key.startsWith(lhs)) lines.push(`i  ${key.padEnd(12)} ${rhs}`);
   }
+  showMessage(lines.length > 0 ? lines.join("\n") : "No abbreviation found");
+};
 
-  if (editorDoc) {
-    const lineDiv = editorDoc.body.querySelectorAll("div")[newLine];
-    if (lineDiv) lineDiv.scrollIntoView({ block: "nearest" });
+const defineAbbreviation = (ex) => {
+  const [, lhs, rhs] = /^\s*(\S*)\s*([\s\S]*)$/.exec(ex.args);
+  if (rhs === "") {
+    listAbbreviations(lhs);
+    return null;
   }
+  abbreviations.set(lhs, rhs);
+  return null;
 };
 
-// --- Line deletion helper ---
+const removeAbbreviation = (ex) => {
+  const lhs = ex.args.trim();
+  if (lhs === "") return "E474: Invalid argument";
+  return abbreviations.delete(lhs) ? null : "E24: No such abbreviation";
+};
 
-const deleteLines = (editorInfo, rep, topLine, bottomLine) => {
-  const totalLines = rep.lines.length();
-  if (bottomLine === totalLines - 1 && topLine > 0) {
-    const prevLineLen = getLineText(rep, topLine - 1).length;
-    replaceRange(
-      editorInfo,
-      [topLine - 1, prevLineLen],
-      [bottomLine, getLineText(rep, bottomLine).length],
-      "",
-    );
-    return topLine - 1;
+registerExCommand("abbreviate", 2, defineAbbreviation);
+registerExCommand("iabbrev", 2, defineAbbreviation);
+registerExCommand("unabbreviate", 3, removeAbbreviation);
+registerExCommand("iunabbrev", 4, removeAbbreviation);
+
+// --- Insert-mode Ctrl keys ---
+//
+// Only these are taken from Etherpad in insert mode; every other key still
+// goes to Etherpad. Ctrl-W and Ctrl-R are kept from the browser, which would
+// close the tab and reload the page. Ctrl-U is Etherpad's underline, so it
+// only deletes the typed text with the insertctrlu option set.
+
+const INSERT_CTRL_KEYS = new Set([
+  "<C-w>",
+  "<C-u>",
+  "<C-o>",
+  "<C-r>",
+  "<C-t>",
+  "<C-d>",
+]);
+
+const takesInsertCtrlKey = (key) =>
+  INSERT_CTRL_KEYS.has(key) && (key !== "<C-u>" || options.insertctrlu);
+
+const forgetInserted = (length) => {
+  if (insertedText === null) return;
+  insertedText = insertedText.slice(
+    0,
+    Math.max(0, insertedText.length - length),
+  );
+};
+
+// Ctrl-W and Ctrl-U stop once at the start of the insert; pressed again they
+// go on to the start of the line, or join it to the one above.
+const deleteBeforeCursor = (rep, editorInfo, key) => {
+  const [line, char] = rep.selStart;
+  if (replacedText !== null) replacedText = [];
+  if (char === 0) {
+    if (line === 0) return;
+    const prevLen = getLineText(rep, line - 1).length;
+    replaceRange(editorInfo, [line - 1, prevLen], [line, 0], "");
+    moveCursor(editorInfo, line - 1, prevLen);
+    forgetInserted(1);
+    return;
   }
-  if (bottomLine < totalLines - 1) {
-    replaceRange(editorInfo, [topLine, 0], [bottomLine + 1, 0], "");
-    return topLine;
+  let start =
+    key === "<C-w>" ? wordStartBefore(getLineText(rep, line), char) : 0;
+  if (insertStart && insertStart[0] === line && insertStart[1] < char) {
+    start = Math.max(start, insertStart[1]);
   }
-  replaceRange(
+  replaceRange(editorInfo, [line, start], [line, char], "");
+  moveCursor(editorInfo, line, start);
+  forgetInserted(char - start);
+  if (insertStart && insertStart[0] === line && start < insertStart[1]) {
+    insertStart = [line, start];
+  }
+};
+
+const insertRegister = (rep, editorInfo, name) => {
+  const value = isRegisterName(name) ? getRegister(name) : null;
+  if (value === null) {
+    commandFailed = true;
+    return;
+  }
+  const text = registerText(value);
+  const [line, char] = rep.selStart;
+  replaceRange(editorInfo, [line, char], [line, char], text);
+  const lines = text.split("\n");
+  const endChar =
+    lines.length === 1 ? char + text.length : lines[lines.length - 1].length;
+  moveCursor(editorInfo, line + lines.length - 1, endChar);
+  if (insertedText !== null) insertedText += text;
+};
+
+const shiftInsertLine = (rep, editorInfo, steps) => {
+  const [line, char] = rep.selStart;
+  const lineText = getLineText(rep, line);
+  const shifted = shiftIndentLevel(lineText, steps, options.shiftwidth);
+  if (shifted === lineText) return;
+  replaceRange(editorInfo, [line, 0], [line, lineText.length], shifted);
+  moveCursor(
     editorInfo,
-    [0, 0],
-    [bottomLine, getLineText(rep, bottomLine).length],
-    "",
+    line,
+    Math.max(0, char + shifted.length - lineText.length),
   );
-  return 0;
 };
 
-// --- Operator application ---
+// Ctrl-O leaves insert mode for one normal-mode command. The position is
+// kept so the insert resumes after the last character if that is where it
+// was, which the block cursor cannot show.
+const startInsertCommand = (rep, editorInfo) => {
+  const [line, char] = rep.selStart;
+  insertCommand = {
+    line,
+    char,
+    replace: replacedText !== null,
+    virtual: virtualReplace,
+  };
+  if (insertedText) lastInsertedText = insertedText;
+  finishInsertChange();
+  setInsertMode(false);
+  moveBlockCursor(editorInfo, line, clampChar(char, getLineText(rep, line)));
+};
 
-const applyCharOperator = (operator, start, end, editorInfo, rep) => {
-  if (start[0] === end[0]) {
-    const lineText = getLineText(rep, start[0]);
-    setRegister(lineText.slice(start[1], end[1]));
-  } else {
-    setRegister(getTextInRange(rep, start, end));
-  }
-  if (operator === "y") {
-    moveBlockCursor(editorInfo, start[0], start[1]);
+const finishInsertCommand = (rep, editorInfo) => {
+  if (insertMode) {
+    insertCommand = null;
     return;
   }
-  replaceRange(editorInfo, start, end, "");
-  if (operator === "c") {
-    moveCursor(editorInfo, start[0], start[1]);
-    setInsertMode(true);
-  } else {
-    const newLineText = getLineText(rep, start[0]);
-    moveBlockCursor(editorInfo, start[0], clampChar(start[1], newLineText));
+  if (visualMode !== null || !isCommandIdle()) return;
+  const saved = insertCommand;
+  insertCommand = null;
+  let [line, char] = rep.selStart;
+  const lineText = getLineText(rep, line);
+  if (line === saved.line && char === clampChar(saved.char, lineText)) {
+    char = Math.min(saved.char, lineText.length);
   }
+  moveCursor(editorInfo, line, char);
+  setInsertMode(true, saved.replace, saved.virtual);
 };
 
-const applyLineOperator = (
-  operator,
-  topLine,
-  bottomLine,
-  editorInfo,
-  rep,
-  char,
-) => {
-  const lines = [];
-  for (let i = topLine; i <= bottomLine; i++) {
-    lines.push(getLineText(rep, i));
-  }
-  setRegister(lines);
-  if (operator === "y") {
-    moveBlockCursor(editorInfo, topLine, 0);
-    return;
+const insertCtrlKey = (rep, editorInfo, key) => {
+  if (key === "<C-w>" || key === "<C-u>") {
+    deleteBeforeCursor(rep, editorInfo, key);
+  } else if (key === "<C-o>") {
+    startInsertCommand(rep, editorInfo);
+  } else if (key === "<C-r>") {
+    pendingKey = "<C-r>";
+  } else {
+    shiftInsertLine(rep, editorInfo, key === "<C-t>" ? 1 : -1);
   }
-  if (operator === "c") {
-    for (let i = topLine; i <= bottomLine; i++) {
-      const text = getLineText(rep, i);
-      replaceRange(editorInfo, [topLine, 0], [topLine, text.length], "");
+};
+
+// --- Dot-repeat replay ---
+
+// A count repeats the text of a plain insert or replace, on lines of its own
+// after o and O, as Vim does for 3. after ihello<Esc>.
+const INSERT_COMMANDS = new Set(["i", "a", "I", "A", "o", "O", "R", "gR"]);
+
+const countedInsertText = (keys, text, count) => {
+  const command = keys.join("");
+  if (count === null || !INSERT_COMMANDS.has(command)) return text;
+  const separator = command === "o" || command === "O" ? "\n" : "";
+  return Array(count).fill(text).join(separator);
+};
+
+const repeatLastChange = (rep, editorInfo, count) => {
+  if (!lastChange) return;
+  if (count !== null) lastChange.count = count;
+  const { keys, insertText } = lastChange;
+  pendingChange = null;
+  replayingChange = true;
+  if (lastChange.count !== null) countBuffer = String(lastChange.count);
+  for (const key of keys) feedKey(rep, editorInfo, key);
+  if (insertMode) {
+    const [line, char] = rep.selStart;
+    let endLine = line;
+    let endChar = char;
+    if (insertText && replacedText !== null) {
+      const text = countedInsertText(keys, insertText, lastChange.count);
+      replaceText(rep, editorInfo, text);
+      [endLine, endChar] = rep.selStart;
+    } else if (insertText) {
+      const text = countedInsertText(keys, insertText, lastChange.count);
+      replaceRange(editorInfo, [line, char], [line, char], text);
+      const insertedLines = text.split("\n");
+      endLine = line + insertedLines.length - 1;
+      endChar =
+        insertedLines.length === 1
+          ? char + text.length
+          : insertedLines[insertedLines.length - 1].length;
     }
-    moveCursor(editorInfo, topLine, 0);
-    setInsertMode(true);
-    return;
+    setInsertMode(false);
+    moveBlockCursor(editorInfo, endLine, Math.max(0, endChar - 1));
   }
-  const cursorLine = deleteLines(editorInfo, rep, topLine, bottomLine);
-  const newLineText = getLineText(rep, cursorLine);
-  moveBlockCursor(editorInfo, cursorLine, clampChar(char, newLineText));
+  replayingChange = false;
 };
 
 // --- Unified key handler ---
@@ -527,11 +3237,7 @@ const handleKey = (rep, editorInfo, key) => {
   const char = inVisual ? visualCursor[1] : rep.selStart[1];
   const lineText = getLineText(rep, line);
 
-  if (key >= "1" && key <= "9") {
-    countBuffer += key;
-    return true;
-  }
-  if (key === "0" && countBuffer !== "") {
+  if (isCountKey(key)) {
     countBuffer += key;
     return true;
   }
@@ -543,10 +3249,23 @@ const handleKey = (rep, editorInfo, key) => {
 
   if (pendingKey === "r") {
     pendingKey = null;
-    if (lineText.length > 0) {
-      replaceRange(editorInfo, [line, char], [line, char + 1], key);
-      moveBlockCursor(editorInfo, line, char);
+    const text = key === "Tab" ? "\t" : key;
+    if (
+      (key !== "Enter" && text.length !== 1) ||
+      char + count > lineText.length
+    ) {
+      commandFailed = true;
+      return true;
+    }
+    // r<CR> replaces the characters with a single line break.
+    if (key === "Enter") {
+      replaceRange(editorInfo, [line, char], [line, char + count], "\n");
+      moveBlockCursor(editorInfo, line + 1, 0);
+      return true;
     }
+    const end = char + count;
+    replaceRange(editorInfo, [line, char], [line, end], text.repeat(count));
+    moveBlockCursor(editorInfo, line, end - 1);
     return true;
   }
 
@@ -558,12 +3277,51 @@ const handleKey = (rep, editorInfo, key) => {
     return true;
   }
 
+  if (pendingKey === '"') {
+    pendingKey = null;
+    if (isRegisterName(key)) pendingRegister = key;
+    return true;
+  }
+
+  if (pendingKey === "q") {
+    pendingKey = null;
+    if (/^[a-zA-Z0-9"]$/.test(key)) startMacroRecording(key);
+    return true;
+  }
+
+  if (pendingKey === "@") {
+    pendingKey = null;
+    playMacro(rep, editorInfo, key === "@" ? lastMacro : key, count);
+    return true;
+  }
+
+  if (key === '"' && pendingKey === null && pendingOperator === null) {
+    pendingKey = '"';
+    return true;
+  }
+
   // --- Operator-pending: resolve target ---
 
   if (pendingOperator !== null) {
     const op = pendingOperator;
 
-    if (key === op) {
+    if (pendingKey === "'" || pendingKey === "`") {
+      pendingOperator = null;
+      applyMotionOperator(
+        op,
+        key,
+        line,
+        char,
+        lineText,
+        rep,
+        count,
+        editorInfo,
+      );
+      return true;
+    }
+
+    if (isDoubledOperator(op, key)) {
+      pendingKey = null;
       pendingOperator = null;
       const lineCount = rep.lines.length();
       const opCount = Math.min(count, lineCount - line);
@@ -576,8 +3334,19 @@ const handleKey = (rep, editorInfo, key) => {
       const type = pendingKey;
       pendingKey = null;
       pendingOperator = null;
-      const range = resolveTextObject(key, type, line, lineText, char, rep);
-      if (range) {
+      const range = resolveTextObject(
+        key,
+        type,
+        line,
+        lineText,
+        char,
+        rep,
+        count,
+      );
+      if (range && range.linewise) {
+        const { startLine, endLine } = range;
+        applyLineOperator(op, startLine, endLine, editorInfo, rep, char);
+      } else if (range) {
         applyCharOperator(
           op,
           [range.startLine, range.startChar],
@@ -585,6 +3354,8 @@ const handleKey = (rep, editorInfo, key) => {
           editorInfo,
           rep,
         );
+      } else {
+        commandFailed = true;
       }
       return true;
     }
@@ -611,6 +3382,8 @@ const handleKey = (rep, editorInfo, key) => {
             rep,
           );
         }
+      } else {
+        commandFailed = true;
       }
       return true;
     }
@@ -640,22 +3413,75 @@ const handleKey = (rep, editorInfo, key) => {
           start = [matchPos.line, matchPos.char];
           end = [line, char + 1];
         }
-        applyCharOperator(op, start, end, editorInfo, rep);
+        applyCharOperator(op, start, end, editorInfo, rep);
+      }
+      return true;
+    }
+
+    if (key === "/" || key === "?") {
+      pendingOperator = null;
+      openSearchPrompt(key, op, count);
+      return true;
+    }
+
+    if (pendingKey === "g") {
+      pendingOperator = null;
+      if (key === "e" || key === "E") {
+        pendingKey = null;
+        applyWordOperator(op, `g${key}`, line, char, count, editorInfo, rep);
+      } else {
+        applyMotionOperator(
+          op,
+          key,
+          line,
+          char,
+          lineText,
+          rep,
+          count,
+          editorInfo,
+        );
+      }
+      return true;
+    }
+
+    if (key === "g") {
+      pendingKey = "g";
+      return true;
+    }
+
+    if (WORD_MOTIONS.has(key)) {
+      pendingOperator = null;
+      applyWordOperator(op, key, line, char, count, editorInfo, rep);
+      return true;
+    }
+
+    if (SEARCH_MOTIONS.has(key)) {
+      pendingOperator = null;
+      const pos = searchMotion(key, line, char, lineText, rep, count);
+      if (pos) {
+        const [start, end] = orderPositions([line, char], [pos.line, pos.char]);
+        if (start[0] !== end[0] || start[1] !== end[1]) {
+          applyCharOperator(op, start, end, editorInfo, rep);
+        }
       }
       return true;
     }
 
     pendingOperator = null;
     const range = motionRange(key, char, lineText, count);
-    if (range && range.end > range.start) {
-      applyCharOperator(
-        op,
-        [line, range.start],
-        [line, range.end],
-        editorInfo,
-        rep,
-      );
+    if (range) {
+      if (range.end > range.start) {
+        applyCharOperator(
+          op,
+          [line, range.start],
+          [line, range.end],
+          editorInfo,
+          rep,
+        );
+      }
+      return true;
     }
+    applyMotionOperator(op, key, line, char, lineText, rep, count, editorInfo);
     return true;
   }
 
@@ -664,47 +3490,158 @@ const handleKey = (rep, editorInfo, key) => {
   if (inVisual && (pendingKey === "i" || pendingKey === "a")) {
     const type = pendingKey;
     pendingKey = null;
-    const range = resolveTextObject(key, type, line, lineText, char, rep);
+    const range = resolveTextObject(
+      key,
+      type,
+      line,
+      lineText,
+      char,
+      rep,
+      count,
+    );
     if (range) {
       visualAnchor = [range.startLine, range.startChar];
       visualCursor = [range.endLine, range.endChar];
-      setVisualMode("char");
+      setVisualMode(range.linewise ? "line" : "char");
       updateVisualSelection(editorInfo, rep);
+    } else {
+      commandFailed = true;
     }
     return true;
   }
 
-  // --- Motions (shared between normal and visual) ---
+  // --- Scrolling ---
 
-  const motion = resolveMotion(key, line, char, lineText, rep, count);
-  if (motion === "pending") return true;
-  if (motion) {
-    applyMotion(editorInfo, rep, motion.line, motion.char);
+  if (pendingKey === "z") {
+    pendingKey = null;
+    if (!(key in Z_COMMANDS) || !editorDoc) {
+      commandFailed = true;
+      return true;
+    }
+    // A count picks the line. zt, zz and zb keep the column; z<CR>, z. and
+    // z- go to the first non-blank.
+    const target = pendingCount !== null ? clampLine(count - 1, rep) : line;
+    scrollLineTo(rep, target, Z_COMMANDS[key]);
+    const targetText = getLineText(rep, target);
+    const column =
+      key === "t" || key === "z" || key === "b"
+        ? clampChar(char, targetText)
+        : firstNonBlank(targetText);
+    if (target !== line || column !== char) {
+      applyMotion(editorInfo, rep, target, column);
+    }
     return true;
   }
 
-  // --- Operators (d/c/y) ---
+  if (pendingKey === null && editorDoc) {
+    if (key === "z") {
+      pendingKey = "z";
+      return true;
+    }
+    if (key === "<C-e>" || key === "<C-y>") {
+      const lines = key === "<C-e>" ? count : -count;
+      scrollByLines(editorInfo, rep, line, char, lines);
+      return true;
+    }
+    if (key === "<C-d>" || key === "<C-u>") {
+      const direction = key === "<C-d>" ? 1 : -1;
+      scrollHalfPage(editorInfo, rep, line, direction, pendingCount);
+      return true;
+    }
+    if (key === "<C-f>" || key === "<C-b>") {
+      const direction = key === "<C-f>" ? 1 : -1;
+      scrollPages(editorInfo, rep, line, direction, count);
+      return true;
+    }
+  }
+
+  if (pendingKey === "g" && key === "R" && !inVisual) {
+    pendingKey = null;
+    startReplace(editorInfo, line, char, count, true);
+    return true;
+  }
+
+  // --- Jump list and change list ---
+
+  if (pendingKey === "g" && (key === ";" || key === ",")) {
+    pendingKey = null;
+    walkChangeList(editorInfo, rep, key === ";" ? -count : count);
+    return true;
+  }
+
+  if (
+    pendingKey === null &&
+    !inVisual &&
+    (key === "<C-o>" || key === "<C-i>" || key === "Tab")
+  ) {
+    const steps = key === "<C-o>" ? -count : count;
+    walkJumpList(editorInfo, rep, line, char, steps);
+    return true;
+  }
+
+  // --- Ctrl-A / Ctrl-X ---
 
-  if (key === "d" || key === "c" || key === "y") {
+  if (
+    (key === "<C-a>" || key === "<C-x>") &&
+    (pendingKey === null || pendingKey === "g")
+  ) {
+    const delta = key === "<C-a>" ? count : -count;
+    const progressive = pendingKey === "g";
+    pendingKey = null;
     if (inVisual) {
-      if (visualMode === "char") {
-        const [start, end] = getVisualSelection(
-          visualMode,
-          visualAnchor,
-          visualCursor,
-          rep,
-        );
-        setVisualMode(null);
-        applyCharOperator(key, start, end, editorInfo, rep);
-      } else {
-        const topLine = Math.min(visualAnchor[0], visualCursor[0]);
-        const bottomLine = Math.max(visualAnchor[0], visualCursor[0]);
-        setVisualMode(null);
-        applyLineOperator(key, topLine, bottomLine, editorInfo, rep, 0);
-      }
+      incrementVisual(editorInfo, rep, delta, progressive);
+      return true;
+    }
+    const result = incrementNumber(lineText, char, delta);
+    if (result) {
+      replaceRange(editorInfo, [line, 0], [line, lineText.length], result.text);
+      moveBlockCursor(editorInfo, line, result.char);
+    } else {
+      commandFailed = true;
+    }
+    return true;
+  }
+
+  // --- Operators (d/c/y, gu/gU/g~, >/</=, gq/gw) ---
+
+  // Checked before motions, which would take the g of gu as a prefix of their
+  // own. In visual mode u, U and ~ change case as well.
+  const caseKey = key === "u" || key === "U" || key === "~";
+  let operator = null;
+  if (pendingKey === "g" && OPERATORS.has(`g${key}`)) {
+    operator = `g${key}`;
+  } else if (caseKey && inVisual && pendingKey === null) {
+    operator = `g${key}`;
+  } else if (pendingKey === null && OPERATORS.has(key)) {
+    operator = key;
+  }
+  if (operator !== null) {
+    pendingKey = null;
+    if (inVisual) {
+      applyVisualOperator(operator, count, editorInfo, rep);
       return true;
     }
-    pendingOperator = key;
+    pendingOperator = operator;
+    return true;
+  }
+
+  // --- Motions (shared between normal and visual) ---
+
+  if (key === "/" || key === "?") {
+    openSearchPrompt(key, null, count);
+    return true;
+  }
+
+  const prefix = pendingKey;
+  const motion = resolveMotion(key, line, char, lineText, rep, count);
+  if (motion === "pending") return true;
+  if (motion) {
+    if (!commandFailed && isJumpMotion(prefix, key)) recordJump([line, char]);
+    if (visualMode === "block") {
+      visualBlockToEol =
+        key === "$" || (visualBlockToEol && (key === "j" || key === "k"));
+    }
+    applyMotion(editorInfo, rep, motion.line, motion.char);
     return true;
   }
 
@@ -716,23 +3653,21 @@ const handleKey = (rep, editorInfo, key) => {
       return true;
     }
 
-    if (key === "~") {
-      const [start, end] = getVisualSelection(
-        visualMode,
-        visualAnchor,
-        visualCursor,
-        rep,
-      );
-      const text = getTextInRange(rep, start, end);
-      let toggled = "";
-      for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-        toggled +=
-          ch === ch.toLowerCase() ? ch.toUpperCase() : ch.toLowerCase();
-      }
-      replaceRange(editorInfo, start, end, toggled);
+    if (key === ":") {
+      const [start, end] = orderPositions(visualAnchor, visualCursor);
+      marks["<"] = start;
+      marks[">"] = end;
+      setVisualMode(null);
+      moveBlockCursor(editorInfo, line, char);
+      openExCommandLine("'<,'>");
+      return true;
+    }
+
+    if (visualMode === "block" && (key === "I" || key === "A")) {
+      const block = getCurrentBlock(rep);
+      const toEol = visualBlockToEol;
       setVisualMode(null);
-      moveBlockCursor(editorInfo, start[0], start[1]);
+      startBlockInsert(editorInfo, rep, block, key, toEol);
       return true;
     }
 
@@ -742,8 +3677,60 @@ const handleKey = (rep, editorInfo, key) => {
 
   // --- Normal-mode only commands ---
 
+  if (key === ".") {
+    repeatLastChange(rep, editorInfo, pendingCount);
+    return true;
+  }
+
+  if (key === ":") {
+    openExCommandLine(pendingCount !== null ? `.,.+${pendingCount - 1}` : "");
+    return true;
+  }
+
+  if (key === "q") {
+    if (macroRecording) {
+      stopMacroRecording();
+    } else {
+      pendingKey = "q";
+    }
+    return true;
+  }
+
+  if (key === "@") {
+    pendingKey = "@";
+    return true;
+  }
+
+  if (key === "i") {
+    desiredColumn = null;
+    moveCursor(editorInfo, line, char);
+    setInsertMode(true);
+    return true;
+  }
+
+  if (key === "a") {
+    desiredColumn = null;
+    moveCursor(editorInfo, line, Math.min(char + 1, lineText.length));
+    setInsertMode(true);
+    return true;
+  }
+
+  if (key === "A") {
+    desiredColumn = null;
+    moveCursor(editorInfo, line, lineText.length);
+    setInsertMode(true);
+    return true;
+  }
+
+  if (key === "I") {
+    desiredColumn = null;
+    moveCursor(editorInfo, line, firstNonBlank(lineText));
+    setInsertMode(true);
+    return true;
+  }
+
   if (key === "Y") {
-    setRegister([lineText]);
+    setRegister([lineText], "yank");
     return true;
   }
 
@@ -752,6 +3739,11 @@ const handleKey = (rep, editorInfo, key) => {
     return true;
   }
 
+  if (key === "R") {
+    startReplace(editorInfo, line, char, count, false);
+    return true;
+  }
+
   if (key === "m") {
     pendingKey = "m";
     return true;
@@ -760,6 +3752,9 @@ const handleKey = (rep, editorInfo, key) => {
   if (key === "x") {
     if (lineText.length > 0) {
       const deleteCount = Math.min(count, lineText.length - char);
+      if (!setRegister(lineText.slice(char, char + deleteCount), "delete")) {
+        return true;
+      }
       replaceRange(editorInfo, [line, char], [line, char + deleteCount], "");
       const newLineText = getLineText(rep, line);
       moveBlockCursor(editorInfo, line, clampChar(char, newLineText));
@@ -768,32 +3763,48 @@ const handleKey = (rep, editorInfo, key) => {
   }
 
   if (key === "o") {
+    const indent = autoIndent(lineText);
     replaceRange(
       editorInfo,
       [line, lineText.length],
       [line, lineText.length],
-      "\n",
+      "\n" + indent,
     );
-    moveCursor(editorInfo, line + 1, 0);
+    moveCursor(editorInfo, line + 1, indent.length);
     setInsertMode(true);
     return true;
   }
 
   if (key === "O") {
-    replaceRange(editorInfo, [line, 0], [line, 0], "\n");
-    moveCursor(editorInfo, line, 0);
+    const indent = autoIndent(lineText);
+    replaceRange(editorInfo, [line, 0], [line, 0], indent + "\n");
+    moveCursor(editorInfo, line, indent.length);
     setInsertMode(true);
     return true;
   }
 
   if (key === "u") {
-    undo(editorInfo);
+    undo(editorInfo, count);
+    return true;
+  }
+
+  if (key === "<C-r>") {
+    redo(editorInfo, count);
+    return true;
+  }
+
+  if (key === "U") {
+    undoLine(editorInfo, rep);
     return true;
   }
 
   if (key === "p") {
+    const register = getRegister(pendingRegister || '"');
     if (register !== null) {
-      if (typeof register === "string") {
+      if (register.block) {
+        const col = lineText.length === 0 ? 0 : char + 1;
+        putBlock(editorInfo, rep, line, col, register.block, count);
+      } else if (typeof register === "string") {
         const insertPos = Math.min(char + 1, lineText.length);
         const repeated = register.repeat(count);
         replaceRange(
@@ -821,8 +3832,11 @@ const handleKey = (rep, editorInfo, key) => {
   }
 
   if (key === "P") {
+    const register = getRegister(pendingRegister || '"');
     if (register !== null) {
-      if (typeof register === "string") {
+      if (register.block) {
+        putBlock(editorInfo, rep, line, char, register.block, count);
+      } else if (typeof register === "string") {
         const repeated = register.repeat(count);
         replaceRange(editorInfo, [line, char], [line, char], repeated);
         moveBlockCursor(editorInfo, line, char);
@@ -841,20 +3855,7 @@ const handleKey = (rep, editorInfo, key) => {
   if (key === "J") {
     const lineCount = rep.lines.length();
     const joins = Math.min(count, lineCount - 1 - line);
-    let cursorChar = lineText.length;
-    for (let i = 0; i < joins; i++) {
-      const curLineText = getLineText(rep, line);
-      const nextLineText = getLineText(rep, line + 1);
-      const trimmedNext = nextLineText.replace(/^\s+/, "");
-      const separator = curLineText.length === 0 ? "" : " ";
-      if (i === 0) cursorChar = curLineText.length;
-      replaceRange(
-        editorInfo,
-        [line, curLineText.length],
-        [line + 1, nextLineText.length],
-        separator + trimmedNext,
-      );
-    }
+    const cursorChar = joinLines(editorInfo, rep, line, joins);
     moveBlockCursor(editorInfo, line, cursorChar);
     return true;
   }
@@ -863,12 +3864,7 @@ const handleKey = (rep, editorInfo, key) => {
     if (lineText.length > 0) {
       const toggleCount = Math.min(count, lineText.length - char);
       const slice = lineText.slice(char, char + toggleCount);
-      let toggled = "";
-      for (let i = 0; i < slice.length; i++) {
-        const ch = slice[i];
-        toggled +=
-          ch === ch.toLowerCase() ? ch.toUpperCase() : ch.toLowerCase();
-      }
+      const toggled = changeCase(slice, "toggle");
       replaceRange(
         editorInfo,
         [line, char],
@@ -882,7 +3878,7 @@ const handleKey = (rep, editorInfo, key) => {
   }
 
   if (key === "D") {
-    setRegister(lineText.slice(char));
+    if (!setRegister(lineText.slice(char), "delete")) return true;
     replaceRange(editorInfo, [line, char], [line, lineText.length], "");
     const newLineText = getLineText(rep, line);
     moveBlockCursor(editorInfo, line, clampChar(char, newLineText));
@@ -890,7 +3886,7 @@ const handleKey = (rep, editorInfo, key) => {
   }
 
   if (key === "C") {
-    setRegister(lineText.slice(char));
+    if (!setRegister(lineText.slice(char), "delete")) return true;
     replaceRange(editorInfo, [line, char], [line, lineText.length], "");
     moveCursor(editorInfo, line, char);
     setInsertMode(true);
@@ -898,7 +3894,9 @@ const handleKey = (rep, editorInfo, key) => {
   }
 
   if (key === "s") {
-    setRegister(lineText.slice(char, char + 1));
+    if (!setRegister(lineText.slice(char, char + count), "delete")) {
+      return true;
+    }
     replaceRange(
       editorInfo,
       [line, char],
@@ -911,7 +3909,7 @@ const handleKey = (rep, editorInfo, key) => {
   }
 
   if (key === "S") {
-    setRegister(lineText);
+    if (!setRegister([lineText], "delete")) return true;
     replaceRange(editorInfo, [line, 0], [line, lineText.length], "");
     moveCursor(editorInfo, line, 0);
     setInsertMode(true);
@@ -922,6 +3920,195 @@ const handleKey = (rep, editorInfo, key) => {
   return false;
 };
 
+const feedKey = (rep, editorInfo, key) => {
+  const selectingRegister = commandLine === null && pendingKey === '"';
+  let handled = true;
+  if (commandLine !== null) {
+    handleCommandLineKey(rep, editorInfo, key);
+  } else {
+    handled = handleKey(rep, editorInfo, key);
+  }
+  if (
+    !selectingRegister &&
+    commandLine === null &&
+    pendingKey === null &&
+    pendingOperator === null &&
+    countBuffer === ""
+  ) {
+    pendingRegister = null;
+  }
+  return handled;
+};
+
+const dispatchKey = (rep, editorInfo, key) => {
+  recordChangeKey(key);
+  const handled = feedKey(rep, editorInfo, key);
+  finishChangeKey();
+  if (insertCommand) finishInsertCommand(rep, editorInfo);
+  return handled;
+};
+
+// --- Config ---
+//
+// The user's vimrc is kept in localStorage as ex commands, one per line, and
+// applied on top of the defaults whenever it changes, including from another
+// tab. Only commands that configure vim mode are allowed in it. They are run
+// without the rep and editorInfo other ex commands get, so none of them can
+// read or edit the pad.
+
+const CONFIG_KEY = "ep_vimrc";
+
+const CONFIG_COMMANDS = new Set([
+  "set",
+  "let",
+  ...MAP_COMMANDS.map(([name]) => name),
+  ...UNMAP_COMMANDS.map(([name]) => name),
+  "abbreviate",
+  "iabbrev",
+  "unabbreviate",
+  "iunabbrev",
+]);
+
+const loadConfig = () => localStorage.getItem(CONFIG_KEY) || "";
+
+const resetConfig = () => {
+  resetOptions();
+  for (const modeMappings of Object.values(mappings)) modeMappings.clear();
+  abbreviations.clear();
+  mapLeader = ["\\"];
+};
+
+// Returns the errors with the line numbers they were found on.
+const applyConfig = (text) => {
+  resetConfig();
+  const errors = [];
+  for (const { line, command } of configLines(text)) {
+    const { name, bang, args } = parseExCommand(command);
+    const cmd = findExCommand(exCommands, name);
+    const error =
+      cmd && CONFIG_COMMANDS.has(cmd.name)
+        ? cmd.run({ bang, args, config: true })
+        : `E492: Not an editor command: ${command}`;
+    if (error) errors.push({ line, message: error });
+  }
+  applySavedOptions();
+  return errors;
+};
+
+// The dialog opened by the toolbar button edits the vimrc. Saving applies it
+// first and only stores it if every line is valid; otherwise the stored one
+// is applied again and the errors are listed.
+
+const CONFIG_DIALOG_HTML = `
+  <label><input type="checkbox" class="vim-config-enabled"> Vim mode</label>
+  <textarea class="vim-config-text" spellcheck="false"
+    placeholder="set sw=2&#10;inoremap jk &lt;Esc&gt;"></textarea>
+  <ul class="vim-config-errors"></ul>
+  <div class="vim-config-buttons">
+    <button type="button" data-action="import">Import</button>
+    <button type="button" data-action="export">Export</button>
+    <button type="button" data-action="save">Save</button>
+    <button type="button" data-action="close">Cancel</button>
+    <input type="file" accept=".vimrc,text/plain" hidden>
+  </div>`;
+
+let configDialog = null;
+
+const setVimEnabled = (btn, value) => {
+  vimEnabled = value;
+  localStorage.setItem("ep_vimEnabled", vimEnabled ? "true" : "false");
+  btn.classList.toggle("vim-enabled", vimEnabled);
+  renderStatusLine(currentRep);
+  renderCursor(currentRep);
+};
+
+// An error without a line is about the vimrc as a whole, such as a file that
+// could not be read.
+const renderConfigErrors = (errors) => {
+  const list = configDialog.querySelector(".vim-config-errors");
+  list.textContent = "";
+  for (const { line, message } of errors) {
+    const item = document.createElement("li");
+    item.textContent = line ? `Line ${line}: ${message}` : message;
+    list.appendChild(item);
+  }
+};
+
+const exportConfig = (text) => {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+  link.download = "ep_vim.vimrc";
+  link.click();
+  // The download only starts after click() returns, so the URL has to
+  // outlive it.
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+const createConfigDialog = (btn) => {
+  const dialog = document.createElement("div");
+  dialog.id = "vim-config-dialog";
+  dialog.hidden = true;
+  dialog.innerHTML = CONFIG_DIALOG_HTML;
+  const enabled = dialog.querySelector(".vim-config-enabled");
+  const text = dialog.querySelector(".vim-config-text");
+  const file = dialog.querySelector("input[type=file]");
+  enabled.addEventListener("change", () => setVimEnabled(btn, enabled.checked));
+  file.addEventListener("change", () => {
+    if (!file.files[0]) return;
+    const selected = file.files[0];
+    file.value = "";
+    selected
+      .text()
+      .then((content) => {
+        text.value = content;
+        renderConfigErrors([]);
+      })
+      .catch((err) => {
+        renderConfigErrors([
+          { message: `Cannot read ${selected.name}: ${err.message}` },
+        ]);
+      });
+  });
+  const actions = {
+    import: () => file.click(),
+    export: () => exportConfig(text.value),
+    save: () => {
+      const errors = applyConfig(text.value);
+      if (errors.length > 0) {
+        applyConfig(loadConfig());
+        renderConfigErrors(errors);
+        return;
+      }
+      localStorage.setItem(CONFIG_KEY, text.value);
+      dialog.hidden = true;
+    },
+    close: () => {
+      dialog.hidden = true;
+    },
+  };
+  dialog.addEventListener("click", (evt) => {
+    const action = evt.target.dataset && evt.target.dataset.action;
+    if (action) actions[action]();
+  });
+  dialog.addEventListener("keydown", (evt) => {
+    if (evt.key === "Escape") dialog.hidden = true;
+  });
+  document.body.appendChild(dialog);
+  return dialog;
+};
+
+const toggleConfigDialog = (btn) => {
+  if (!configDialog) configDialog = createConfigDialog(btn);
+  if (!configDialog.hidden) {
+    configDialog.hidden = true;
+    return;
+  }
+  configDialog.querySelector(".vim-config-enabled").checked = vimEnabled;
+  configDialog.querySelector(".vim-config-text").value = loadConfig();
+  renderConfigErrors([]);
+  configDialog.hidden = false;
+};
+
 // --- Exports ---
 
 exports.aceEditorCSS = () => ["ep_vim/static/css/vim.css"];
@@ -930,37 +4117,116 @@ exports.postToolbarInit = (_hookName, _args) => {
   const btn = document.getElementById("vim-toggle-btn");
   if (!btn) return;
   btn.classList.toggle("vim-enabled", vimEnabled);
-  btn.addEventListener("click", () => {
-    vimEnabled = !vimEnabled;
-    localStorage.setItem("ep_vimEnabled", vimEnabled ? "true" : "false");
-    btn.classList.toggle("vim-enabled", vimEnabled);
+  btn.addEventListener("click", () => toggleConfigDialog(btn));
+  window.addEventListener("storage", (evt) => {
+    if (evt.key === CONFIG_KEY || evt.key === OPTIONS_KEY) {
+      applyConfig(loadConfig());
+    }
   });
 };
 
+// The inner editor iframe sits inside the outer one.
+const findEditorDoc = () => {
+  const outer = document.querySelector('iframe[name="ace_outer"]');
+  const inner =
+    outer && outer.contentDocument
+      ? outer.contentDocument.querySelector('iframe[name="ace_inner"]')
+      : null;
+  return inner ? inner.contentDocument : null;
+};
+
 exports.postAceInit = (_hookName, { ace }) => {
+  applyConfig(loadConfig());
+  const doc = findEditorDoc();
+  if (doc && !editorDoc) attachEditorDoc(doc);
+  ace.callWithAce(watchRemoteChanges);
   if (!vimEnabled) return;
   ace.callWithAce((aceTop) => {
     const rep = aceTop.ace_getRep();
     if (rep && rep.selStart) {
       currentRep = rep;
-      selectRange(aceTop, rep.selStart, [rep.selStart[0], rep.selStart[1] + 1]);
+      moveCursor(aceTop, rep.selStart[0], rep.selStart[1]);
     }
   });
+  renderCursor(currentRep);
 };
 
-exports.aceKeyEvent = (_hookName, { evt, rep, editorInfo }) => {
-  if (!vimEnabled) return false;
-  if (evt.type !== "keydown") return false;
+exports.aceEditEvent = (_hookName, { callstack, rep }) => {
+  if (!vimEnabled) {
+    forgetUndoGroups();
+    return;
+  }
+  currentRep = rep;
+  trackUndoEvent(callstack, rep);
+  trackLineChanges(callstack, rep);
+  renderStatusLine(rep);
+  renderCursor(rep);
+  if (searchHighlight && callstack.docTextChanged) {
+    setTimeout(refreshSearchHighlight, 0);
+  }
+};
+
+// AltGr arrives as Ctrl+Alt, so with Alt held the key is the character it
+// types ({, [, @ and the like on many layouts) rather than a Ctrl key.
+const keyFromEvent = (evt) => {
+  if (evt.ctrlKey && !evt.altKey && evt.key.length === 1) {
+    return `<C-${evt.key.toLowerCase()}>`;
+  }
+  return evt.key;
+};
+
+const isCtrlKey = (key) => key.startsWith("<C-");
+
+// Outside insert mode a key vim does not use is swallowed, so nothing gets
+// typed into the pad. These Ctrl keys still reach the browser and Etherpad:
+// copy (a visual selection is the browser's selection), Etherpad's save
+// revision, and zooming.
+const PASSTHROUGH_CTRL_KEYS = new Set([
+  "<C-c>",
+  "<C-s>",
+  "<C-=>",
+  "<C-+>",
+  "<C-->",
+  "<C-0>",
+]);
+
+// Returns true when vim consumed the key. `native` is false for keys replayed
+// from a macro, which have no browser event behind them, so keys typed in
+// insert mode have to be inserted here instead of by Etherpad.
+const processKey = (rep, editorInfo, key, native) => {
   currentRep = rep;
-  if (!editorDoc) {
-    editorDoc = evt.target.ownerDocument;
-    setInsertMode(insertMode);
+  if (macroRecording && macroDepth === 0) macroRecording.keys.push(key);
+  commandFailed = false;
+  if (isCommandIdle()) startUndoGroup(rep);
+
+  if (commandLine !== null) {
+    if (!isCtrlKey(key)) dispatchKey(rep, editorInfo, key);
+    return true;
+  }
+
+  if (substituteConfirm !== null) {
+    handleSubstituteConfirmKey(rep, editorInfo, key);
+    return true;
   }
 
-  if (evt.key === "Escape") {
+  // Ctrl-R waits for a register name; Escape only cancels it.
+  if (insertMode && pendingKey === "<C-r>") {
+    pendingKey = null;
+    if (key !== "Escape") insertRegister(rep, editorInfo, key);
+    return true;
+  }
+
+  if (key === "Escape") {
     if (insertMode) {
-      setInsertMode(false);
+      if (replacedText === null) expandAbbreviation(rep, editorInfo);
+      if (replacedText !== null && insertedText) {
+        replaceText(rep, editorInfo, insertedText.repeat(replaceCount - 1));
+      }
+      if (insertedText) lastInsertedText = insertedText;
+      finishInsertChange();
       const [line, char] = rep.selStart;
+      if (blockInsert) finishBlockInsert(editorInfo, rep);
+      setInsertMode(false);
       moveBlockCursor(editorInfo, line, Math.max(0, char - 1));
     }
     if (visualMode !== null) {
@@ -972,81 +4238,88 @@ exports.aceKeyEvent = (_hookName, { evt, rep, editorInfo }) => {
     pendingKey = null;
     pendingOperator = null;
     pendingCount = null;
+    pendingRegister = null;
     desiredColumn = null;
-    evt.preventDefault();
+    pendingChange = null;
+    if (insertCommand) finishInsertCommand(rep, editorInfo);
     return true;
   }
 
-  if (insertMode) return false;
-
-  if (pendingKey !== null || pendingOperator !== null) {
-    const handled = handleKey(rep, editorInfo, evt.key);
-    evt.preventDefault();
-    return handled || true;
-  }
-
-  if (visualMode === null) {
-    if (evt.key === "i") {
-      const [line, char] = rep.selStart;
-      desiredColumn = null;
-      moveCursor(editorInfo, line, char);
-      setInsertMode(true);
-      evt.preventDefault();
-      return true;
-    }
-
-    if (evt.key === "a") {
-      const [line, char] = rep.selStart;
-      const lineText = getLineText(rep, line);
-      desiredColumn = null;
-      moveCursor(editorInfo, line, Math.min(char + 1, lineText.length));
-      setInsertMode(true);
-      evt.preventDefault();
+  if (insertMode) {
+    if (takesInsertCtrlKey(key)) {
+      insertCtrlKey(rep, editorInfo, key);
       return true;
     }
-
-    if (evt.key === "A") {
-      const [line] = rep.selStart;
-      const lineText = getLineText(rep, line);
-      desiredColumn = null;
-      moveCursor(editorInfo, line, lineText.length);
-      setInsertMode(true);
-      evt.preventDefault();
-      return true;
+    if (replacedText === null && isAbbreviationTrigger(key)) {
+      expandAbbreviation(rep, editorInfo);
     }
+    recordInsertKey(key);
+    if (replacedText !== null && replaceKey(rep, editorInfo, key)) return true;
+    if (native && !(key === "Enter" && options.autoindent)) return false;
+    insertKey(rep, editorInfo, key);
+    return true;
+  }
 
-    if (evt.key === "I") {
-      const [line] = rep.selStart;
-      const lineText = getLineText(rep, line);
-      desiredColumn = null;
-      moveCursor(editorInfo, line, firstNonBlank(lineText));
-      setInsertMode(true);
-      evt.preventDefault();
-      return true;
-    }
+  if (pendingKey !== null || pendingOperator !== null) {
+    dispatchKey(rep, editorInfo, key);
+    return true;
+  }
 
-    if (evt.key === "V") {
+  if (visualMode === null) {
+    if (key === "V") {
       const [line] = rep.selStart;
       visualAnchor = [line, 0];
       visualCursor = [line, 0];
       setVisualMode("line");
       updateVisualSelection(editorInfo, rep);
-      evt.preventDefault();
       return true;
     }
 
-    if (evt.key === "v") {
+    if (key === "v") {
       const [line, char] = rep.selStart;
       visualAnchor = [line, char];
       visualCursor = [line, char];
       setVisualMode("char");
       updateVisualSelection(editorInfo, rep);
-      evt.preventDefault();
       return true;
     }
   }
 
-  const handled = handleKey(rep, editorInfo, evt.key);
-  evt.preventDefault();
-  return handled || true;
+  if (key === "<C-v>") {
+    if (visualMode === "block") {
+      setVisualMode(null);
+      moveBlockCursor(editorInfo, visualCursor[0], visualCursor[1]);
+      return true;
+    }
+    if (visualMode === null) {
+      visualAnchor = [...rep.selStart];
+      visualCursor = [...rep.selStart];
+    }
+    visualBlockToEol = false;
+    setVisualMode("block");
+    updateVisualSelection(editorInfo, rep);
+    return true;
+  }
+
+  const handled = dispatchKey(rep, editorInfo, key);
+  return handled || !PASSTHROUGH_CTRL_KEYS.has(key);
+};
+
+exports.aceKeyEvent = (_hookName, { evt, rep, editorInfo }) => {
+  if (!vimEnabled) return false;
+  if (evt.type !== "keydown") return false;
+  if (evt.metaKey) {
+    if (isEtherpadUndoKey(evt)) forgetUndoGroups();
+    return false;
+  }
+  if (!editorDoc) attachEditorDoc(evt.target.ownerDocument);
+  const lineCount = rep.lines.length();
+  if (message && message.text.includes("\n")) showMessage("");
+  const handled = mapKey(rep, editorInfo, keyFromEvent(evt));
+  if (handled) evt.preventDefault();
+  else if (isEtherpadUndoKey(evt)) forgetUndoGroups();
+  reportLineCount(lineCount, rep.lines.length());
+  renderStatusLine(rep);
+  renderCursor(rep);
+  return handled;
 };
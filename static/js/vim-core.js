@@ -1,6 +1,168 @@
 "use strict";
 
-const isWordChar = (ch) => /\w/.test(ch);
+// --- Options ---
+//
+// The values set with :set, which the functions below read. Each option has a
+// type, a default and usually a short name, as in Vim. String options that
+// hold comma-separated lists can be edited with += and -=.
+
+const OPTION_DEFS = {
+  autoindent: { short: "ai", type: "boolean", default: false },
+  cursorblink: { short: "cbl", type: "boolean", default: false },
+  expandtab: { short: "et", type: "boolean", default: true },
+  ignorecase: { short: "ic", type: "boolean", default: false },
+  insertctrlu: { short: "icu", type: "boolean", default: false },
+  iskeyword: {
+    short: "isk",
+    type: "string",
+    default: "@,48-57,_,192-255",
+    list: true,
+    valid: (value) => parseKeywordSpec(value) !== null,
+  },
+  shiftwidth: { short: "sw", type: "number", default: 4, min: 1 },
+  smartcase: { short: "scs", type: "boolean", default: false },
+  tabstop: { short: "ts", type: "number", default: 8, min: 1 },
+  textwidth: { short: "tw", type: "number", default: 79, min: 0 },
+  timeoutlen: { short: "tm", type: "number", default: 1000, min: 0 },
+  wrapscan: { short: "ws", type: "boolean", default: true },
+};
+
+const options = {};
+
+const resetOptions = () => {
+  for (const [name, def] of Object.entries(OPTION_DEFS)) {
+    options[name] = def.default;
+  }
+};
+
+resetOptions();
+
+const findOption = (name) => {
+  if (name in OPTION_DEFS) return name;
+  const names = Object.keys(OPTION_DEFS);
+  return names.find((key) => OPTION_DEFS[key].short === name) || null;
+};
+
+const formatOption = (name) => {
+  const value = options[name];
+  if (OPTION_DEFS[name].type !== "boolean") return `${name}=${value}`;
+  return value ? name : `no${name}`;
+};
+
+const editListOption = (current, operator, value) => {
+  const items = current === "" ? [] : current.split(",");
+  if (operator === "-") return items.filter((item) => item !== value).join(",");
+  if (items.includes(value)) return current;
+  return (operator === "+" ? [...items, value] : [value, ...items]).join(",");
+};
+
+const setNumberOption = (name, operator, value, arg) => {
+  if (!/^-?\d+$/.test(value)) {
+    return { error: `E521: Number required after =: ${arg}` };
+  }
+  const number = Number(value);
+  const current = options[name];
+  const result =
+    operator === "+"
+      ? current + number
+      : operator === "-"
+        ? current - number
+        : operator === "^"
+          ? current * number
+          : number;
+  if (result < OPTION_DEFS[name].min) {
+    return { error: `E487: Argument must be positive: ${arg}` };
+  }
+  options[name] = result;
+  return { name };
+};
+
+// Applies one :set argument: name, noname, invname, name!, name&, name? or
+// name=value, with += -= and ^= for numbers and lists. Returns { error }, or
+// the option's full name and, for a query, the text to show.
+const setOption = (arg) => {
+  const m = /^(\w+)(?:([?!&])|([-+^]?)[=:]([\s\S]*))?$/.exec(arg);
+  if (!m) return { error: `E518: Unknown option: ${arg}` };
+  const [, word, suffix, operator, value] = m;
+  let name = findOption(word);
+  let prefix = "";
+  if (!name && /^(no|inv)/.test(word)) {
+    prefix = word.startsWith("no") ? "no" : "inv";
+    name = findOption(word.slice(prefix.length));
+  }
+  if (!name) return { error: `E518: Unknown option: ${arg}` };
+  const def = OPTION_DEFS[name];
+  const isBoolean = def.type === "boolean";
+  if (prefix && (!isBoolean || suffix || value !== undefined)) {
+    return { error: `E474: Invalid argument: ${arg}` };
+  }
+  if (suffix === "?") return { name, show: formatOption(name) };
+  if (suffix === "&") {
+    options[name] = def.default;
+    return { name };
+  }
+  if (suffix === "!" || prefix === "inv") {
+    if (!isBoolean) return { error: `E488: Trailing characters: ${arg}` };
+    options[name] = !options[name];
+    return { name };
+  }
+  if (value === undefined) {
+    if (!isBoolean) return { name, show: formatOption(name) };
+    options[name] = prefix !== "no";
+    return { name };
+  }
+  if (isBoolean) return { error: `E474: Invalid argument: ${arg}` };
+  if (def.type === "number") return setNumberOption(name, operator, value, arg);
+  if (operator !== "" && !def.list) {
+    return { error: `E474: Invalid argument: ${arg}` };
+  }
+  const result =
+    operator === "" ? value : editListOption(options[name], operator, value);
+  if (def.valid && !def.valid(result)) {
+    return { error: `E474: Invalid argument: ${arg}` };
+  }
+  options[name] = result;
+  return { name };
+};
+
+// iskeyword: comma-separated characters, character codes and ranges of
+// either, "@" for ASCII letters and a leading ^ to exclude. Characters past
+// 255 are keyword characters when they are letters or digits.
+const parseKeywordSpec = (spec) => {
+  const flags = new Uint8Array(256);
+  const code = (part) =>
+    /^\d+$/.test(part) ? Number(part) : part.charCodeAt(0);
+  for (const item of spec.split(",")) {
+    const exclude = item.length > 1 && item[0] === "^";
+    const part = exclude ? item.slice(1) : item;
+    const value = exclude ? 0 : 1;
+    if (part === "@") {
+      for (let c = 65; c <= 90; c++) flags[c] = flags[c + 32] = value;
+      continue;
+    }
+    const m = /^(\d+|[^,])(?:-(\d+|[^,]))?$/.exec(part);
+    if (!m) return null;
+    const from = code(m[1]);
+    const to = m[2] === undefined ? from : code(m[2]);
+    if (from > to || to > 255) return null;
+    for (let c = from; c <= to; c++) flags[c] = value;
+  }
+  return flags;
+};
+
+let keywordCache = { spec: null, flags: null };
+
+const isWordChar = (ch) => {
+  if (!ch) return false;
+  if (keywordCache.spec !== options.iskeyword) {
+    const spec = options.iskeyword;
+    keywordCache = { spec, flags: parseKeywordSpec(spec) };
+  }
+  const c = ch.charCodeAt(0);
+  if (c > 255) return /[\p{L}\p{N}]/u.test(ch);
+  return keywordCache.flags[c] === 1;
+};
+
 const isWhitespace = (ch) => /\s/.test(ch);
 
 const clampLine = (line, rep) =>
@@ -39,54 +201,203 @@ const findCharBackward = (lineText, startChar, targetChar, count) => {
   return -1;
 };
 
-const wordForward = (lineText, startChar) => {
-  let pos = startChar;
-  if (pos < lineText.length && isWordChar(lineText[pos])) {
-    while (pos < lineText.length && isWordChar(lineText[pos])) pos++;
-  } else if (pos < lineText.length && !isWhitespace(lineText[pos])) {
-    while (
-      pos < lineText.length &&
-      !isWordChar(lineText[pos]) &&
-      !isWhitespace(lineText[pos])
-    )
-      pos++;
+// Character classes for word motions: 0 is whitespace, 1 punctuation and 2
+// keyword characters. A WORD (bigWord) only tells whitespace from the rest.
+const charClass = (ch, bigWord) => {
+  if (ch === undefined || isWhitespace(ch)) return 0;
+  if (bigWord || !isWordChar(ch)) return 1;
+  return 2;
+};
+
+// Word motions walk the whole pad one position at a time. The end of each line
+// is a position of its own with the class of whitespace, which is what stops
+// words running across line breaks; an empty line is a word by itself.
+// incPos and decPos return -1 when they cannot move, 1 when they change
+// line, 2 when incPos reaches a line end and 0 otherwise.
+
+const incPos = (rep, pos) => {
+  const length = getLineText(rep, pos.line).length;
+  if (pos.char < length) {
+    pos.char++;
+    return pos.char < length ? 0 : 2;
+  }
+  if (pos.line + 1 < rep.lines.length()) {
+    pos.line++;
+    pos.char = 0;
+    return 1;
+  }
+  return -1;
+};
+
+const decPos = (rep, pos) => {
+  if (pos.char > 0) {
+    pos.char--;
+    return 0;
+  }
+  if (pos.line > 0) {
+    pos.line--;
+    pos.char = getLineText(rep, pos.line).length;
+    return 1;
+  }
+  return -1;
+};
+
+const posClass = (rep, pos, bigWord) =>
+  charClass(getLineText(rep, pos.line)[pos.char], bigWord);
+
+const isEmptyLineAt = (rep, pos) =>
+  pos.char === 0 && getLineText(rep, pos.line).length === 0;
+
+// w / W. With stopAtEol (the last word of an operator's motion) the move
+// ends at the line end rather than carrying on to the next line.
+const wordForward = (rep, line, char, bigWord = false, stopAtEol = false) => {
+  const pos = { line, char };
+  const stops = (result) => result === -1 || (stopAtEol && result >= 1);
+  const startClass = posClass(rep, pos, bigWord);
+  if (stops(incPos(rep, pos))) return pos;
+  if (startClass !== 0) {
+    while (posClass(rep, pos, bigWord) === startClass) {
+      if (stops(incPos(rep, pos))) return pos;
+    }
+  }
+  while (posClass(rep, pos, bigWord) === 0 && !isEmptyLineAt(rep, pos)) {
+    if (stops(incPos(rep, pos))) return pos;
   }
-  while (pos < lineText.length && isWhitespace(lineText[pos])) pos++;
   return pos;
 };
 
-const wordBackward = (lineText, startChar) => {
-  let pos = startChar - 1;
-  while (pos >= 0 && isWhitespace(lineText[pos])) pos--;
-  if (pos >= 0 && isWordChar(lineText[pos])) {
-    while (pos > 0 && isWordChar(lineText[pos - 1])) pos--;
-  } else {
-    while (
-      pos > 0 &&
-      !isWordChar(lineText[pos - 1]) &&
-      !isWhitespace(lineText[pos - 1])
-    )
-      pos--;
+// b / B
+const wordBackward = (rep, line, char, bigWord = false) => {
+  const pos = { line, char };
+  if (decPos(rep, pos) === -1) return pos;
+  while (posClass(rep, pos, bigWord) === 0) {
+    if (isEmptyLineAt(rep, pos) || decPos(rep, pos) === -1) return pos;
+  }
+  const wordClass = posClass(rep, pos, bigWord);
+  while (posClass(rep, pos, bigWord) === wordClass) {
+    if (decPos(rep, pos) === -1) return pos;
   }
-  return Math.max(0, pos);
+  incPos(rep, pos);
+  return pos;
 };
 
-const wordEnd = (lineText, startChar) => {
-  let pos = startChar + 1;
-  while (pos < lineText.length && isWhitespace(lineText[pos])) pos++;
-  if (pos < lineText.length && isWordChar(lineText[pos])) {
-    while (pos + 1 < lineText.length && isWordChar(lineText[pos + 1])) pos++;
-  } else {
-    while (
-      pos + 1 < lineText.length &&
-      !isWordChar(lineText[pos + 1]) &&
-      !isWhitespace(lineText[pos + 1])
-    )
-      pos++;
+// e / E. With stayInWord (cw) a cursor already on the end of a word stays
+// there instead of moving on to the next one.
+const wordEnd = (rep, line, char, bigWord = false, stayInWord = false) => {
+  const pos = { line, char };
+  const startClass = posClass(rep, pos, bigWord);
+  if (incPos(rep, pos) === -1) return { line, char };
+  if (startClass === 0 || posClass(rep, pos, bigWord) !== startClass) {
+    if (stayInWord && startClass !== 0) return { line, char };
+    while (posClass(rep, pos, bigWord) === 0) {
+      if (incPos(rep, pos) === -1) return { line, char };
+    }
+  }
+  const wordClass = posClass(rep, pos, bigWord);
+  while (posClass(rep, pos, bigWord) === wordClass) {
+    if (incPos(rep, pos) === -1) break;
+  }
+  decPos(rep, pos);
+  return pos;
+};
+
+// ge / gE: back to the end of the previous word.
+const wordEndBackward = (rep, line, char, bigWord = false) => {
+  const pos = { line, char };
+  const startClass = posClass(rep, pos, bigWord);
+  if (decPos(rep, pos) === -1) return pos;
+  if (startClass !== 0) {
+    while (posClass(rep, pos, bigWord) === startClass) {
+      if (decPos(rep, pos) === -1) return pos;
+    }
+  }
+  while (posClass(rep, pos, bigWord) === 0 && !isEmptyLineAt(rep, pos)) {
+    if (decPos(rep, pos) === -1) return pos;
+  }
+  return pos;
+};
+
+// Repeats a word motion (w, W, b, B, e, E, ge or gE) count times. The result
+// may sit on a line end, one past its last character.
+const wordMotionPos = (key, rep, line, char, count, stopAtEol = false) => {
+  const bigWord = /[WBE]$/.test(key);
+  let pos = { line, char };
+  for (let i = 0; i < count; i++) {
+    if (key === "w" || key === "W") {
+      pos = wordForward(
+        rep,
+        pos.line,
+        pos.char,
+        bigWord,
+        stopAtEol && i === count - 1,
+      );
+    } else if (key === "b" || key === "B") {
+      pos = wordBackward(rep, pos.line, pos.char, bigWord);
+    } else if (key === "e" || key === "E") {
+      pos = wordEnd(rep, pos.line, pos.char, bigWord);
+    } else {
+      pos = wordEndBackward(rep, pos.line, pos.char, bigWord);
+    }
   }
   return pos;
 };
 
+// Vim's rule for exclusive motions (:help exclusive): an end in column 0 of a
+// later line moves back to the end of the line before it, and when the start
+// is at or before the first non-blank the motion becomes linewise.
+const exclusiveRange = (rep, start, end) => {
+  if (end.line > start.line && end.char === 0) {
+    const line = end.line - 1;
+    const linewise = start.char <= firstNonBlank(getLineText(rep, start.line));
+    return {
+      start,
+      end: { line, char: getLineText(rep, line).length },
+      linewise,
+    };
+  }
+  return { start, end, linewise: false };
+};
+
+// The text an operator covers for a word motion, end exclusive, or null when
+// it is empty. cw and cW on a word change to its end like ce, and a w that
+// reaches a line end never takes the line break with it.
+const wordMotionRange = (key, rep, line, char, count, change = false) => {
+  const bigWord = /[WBE]$/.test(key);
+  const start = { line, char };
+  let range;
+  if (
+    (key === "w" || key === "W") &&
+    change &&
+    posClass(rep, start, bigWord) !== 0
+  ) {
+    let pos = wordEnd(rep, line, char, bigWord, true);
+    for (let i = 1; i < count; i++) {
+      pos = wordEnd(rep, pos.line, pos.char, bigWord);
+    }
+    range = { start, end: { line: pos.line, char: pos.char + 1 } };
+  } else if (key === "w" || key === "W") {
+    const end = wordMotionPos(key, rep, line, char, count, true);
+    range = exclusiveRange(rep, start, end);
+  } else if (key === "e" || key === "E") {
+    const pos = wordMotionPos(key, rep, line, char, count);
+    range = { start, end: { line: pos.line, char: pos.char + 1 } };
+  } else if (key === "b" || key === "B") {
+    const pos = wordMotionPos(key, rep, line, char, count);
+    range = exclusiveRange(rep, pos, start);
+  } else {
+    const pos = wordMotionPos(key, rep, line, char, count);
+    range = { start: pos, end: { line, char: char + 1 } };
+  }
+  const { start: from, end: to } = range;
+  if (
+    !range.linewise &&
+    (to.line < from.line || (to.line === from.line && to.char <= from.char))
+  ) {
+    return null;
+  }
+  return { linewise: false, ...range };
+};
+
 const paragraphForward = (rep, startLine, count) => {
   const totalLines = rep.lines.length();
   let line = startLine;
@@ -130,22 +441,7 @@ const motionRange = (key, char, lineText, count) => {
   let start = -1;
   let end = -1;
 
-  if (key === "w") {
-    let pos = char;
-    for (let i = 0; i < count; i++) pos = wordForward(lineText, pos);
-    start = char;
-    end = Math.min(pos, lineText.length);
-  } else if (key === "e") {
-    let pos = char;
-    for (let i = 0; i < count; i++) pos = wordEnd(lineText, pos);
-    start = char;
-    end = Math.min(pos + 1, lineText.length);
-  } else if (key === "b") {
-    let pos = char;
-    for (let i = 0; i < count; i++) pos = wordBackward(lineText, pos);
-    start = pos;
-    end = char;
-  } else if (key === "$") {
+  if (key === "$") {
     start = char;
     end = lineText.length;
   } else if (key === "0") {
@@ -208,41 +504,67 @@ const getVisualSelection = (visualMode, visualAnchor, visualCursor, rep) => {
   return [visualCursor, visualAnchor];
 };
 
-const textWordRange = (lineText, char, type) => {
+// Blockwise visual selection: the rectangle between anchor and cursor,
+// inclusive of both columns. Lines too short to reach the block get an empty
+// segment; with toEol every segment runs to the end of its line.
+
+const getVisualBlock = (visualAnchor, visualCursor, rep, toEol) => {
+  const top = Math.min(visualAnchor[0], visualCursor[0]);
+  const bottom = Math.max(visualAnchor[0], visualCursor[0]);
+  const left = Math.min(visualAnchor[1], visualCursor[1]);
+  const right = Math.max(visualAnchor[1], visualCursor[1]) + 1;
+  const segments = [];
+  for (let line = top; line <= bottom; line++) {
+    const length = getLineText(rep, line).length;
+    const start = Math.min(left, length);
+    const end = toEol ? length : Math.min(right, length);
+    segments.push({ line, start, end: Math.max(start, end) });
+  }
+  return { top, bottom, left, right, segments };
+};
+
+const padText = (text, width) =>
+  text + " ".repeat(Math.max(0, width - text.length));
+
+// Puts one line of a blockwise register at col, padding a short line out to
+// the column and the block itself out to width when text follows it.
+const blockPutLine = (lineText, col, text, width) => {
+  const after = lineText.slice(col);
+  const body = after.length > 0 ? padText(text, width) : text;
+  return padText(lineText.slice(0, col), col) + body + after;
+};
+
+const textWordRange = (lineText, char, type, bigWord = false) => {
   if (lineText.length === 0 || char >= lineText.length) return null;
   const ch = lineText[char];
+  const wordClass = charClass(ch, bigWord);
   let start = char;
   let end = char;
-  if (isWordChar(ch)) {
-    while (start > 0 && isWordChar(lineText[start - 1])) start--;
-    while (end + 1 < lineText.length && isWordChar(lineText[end + 1])) end++;
-  } else if (isWhitespace(ch)) {
-    while (start > 0 && isWhitespace(lineText[start - 1])) start--;
-    while (end + 1 < lineText.length && isWhitespace(lineText[end + 1])) end++;
-  } else {
-    while (
-      start > 0 &&
-      !isWordChar(lineText[start - 1]) &&
-      !isWhitespace(lineText[start - 1])
-    )
-      start--;
-    while (
-      end + 1 < lineText.length &&
-      !isWordChar(lineText[end + 1]) &&
-      !isWhitespace(lineText[end + 1])
-    )
-      end++;
-  }
-  if (type === "i") {
-    return { start, end: end + 1 };
-  } else {
-    if (isWhitespace(ch)) {
-      while (start > 0 && isWhitespace(lineText[start - 1])) start--;
+  while (start > 0 && charClass(lineText[start - 1], bigWord) === wordClass)
+    start--;
+  while (
+    end + 1 < lineText.length &&
+    charClass(lineText[end + 1], bigWord) === wordClass
+  )
+    end++;
+  if (type === "a") {
+    // A word takes its trailing whitespace, or the leading whitespace when
+    // there is none; whitespace takes the word after it.
+    if (wordClass === 0) {
+      const nextClass = charClass(lineText[end + 1], bigWord);
+      while (
+        end + 1 < lineText.length &&
+        charClass(lineText[end + 1], bigWord) === nextClass
+      )
+        end++;
+    } else if (end + 1 < lineText.length && isWhitespace(lineText[end + 1])) {
       while (end + 1 < lineText.length && isWhitespace(lineText[end + 1]))
         end++;
+    } else {
+      while (start > 0 && isWhitespace(lineText[start - 1])) start--;
     }
-    return { start, end: end + 1 };
   }
+  return { start, end: end + 1 };
 };
 
 const BRACKET_PAIRS = {
@@ -255,50 +577,59 @@ const BRACKET_PAIRS = {
 };
 const OPEN_BRACKETS = new Set(["(", "{", "["]);
 
-const textQuoteRange = (lineText, char, quote, type) => {
-  const first = lineText.indexOf(quote);
-  if (first === -1) return null;
-  const second = lineText.indexOf(quote, first + 1);
-  if (second === -1) return null;
-  if (char < first || char > second) return null;
-  if (type === "i") {
-    return { start: first + 1, end: second };
-  } else {
-    return { start: first, end: second + 1 };
+// Quote search skips any character escaped with a backslash.
+const findNextQuote = (lineText, col, quote) => {
+  for (let i = col; i < lineText.length; i++) {
+    if (lineText[i] === "\\") i++;
+    else if (lineText[i] === quote) return i;
   }
+  return -1;
 };
 
-const textBracketRange = (lineText, char, bracket, type) => {
-  const open = OPEN_BRACKETS.has(bracket) ? bracket : BRACKET_PAIRS[bracket];
-  const close = BRACKET_PAIRS[open];
-  let depth = 0;
-  let openPos = -1;
-  for (let i = char; i >= 0; i--) {
-    if (lineText[i] === close && i !== char) depth++;
-    if (lineText[i] === open) {
-      if (depth === 0) {
-        openPos = i;
-        break;
-      }
-      depth--;
-    }
+const findPrevQuote = (lineText, col, quote) => {
+  for (let i = col - 1; i >= 0; i--) {
+    let escapes = 0;
+    while (i - escapes > 0 && lineText[i - escapes - 1] === "\\") escapes++;
+    if (escapes % 2 === 1) i -= escapes;
+    else if (lineText[i] === quote) return i;
   }
-  if (openPos === -1) return null;
-  depth = 0;
-  for (let i = openPos + 1; i < lineText.length; i++) {
-    if (lineText[i] === open) depth++;
-    if (lineText[i] === close) {
-      if (depth === 0) {
-        if (type === "i") {
-          return { start: openPos + 1, end: i };
-        } else {
-          return { start: openPos, end: i + 1 };
-        }
-      }
-      depth--;
-    }
+  return -1;
+};
+
+// Quote objects stay on one line, as in Vim. On a quote, quotes are paired up
+// from the start of the line to tell opening from closing; elsewhere the
+// nearest quote before the cursor opens the string, or the first one after it
+// when there is none before.
+const textQuoteRange = (lineText, char, quote, type) => {
+  let start;
+  let end;
+  if (lineText[char] === quote) {
+    end = -1;
+    do {
+      start = findNextQuote(lineText, end + 1, quote);
+      if (start === -1 || start > char) return null;
+      end = findNextQuote(lineText, start + 1, quote);
+      if (end === -1) return null;
+    } while (end < char);
+  } else {
+    start = findPrevQuote(lineText, char, quote);
+    if (start === -1) start = findNextQuote(lineText, char, quote);
+    if (start === -1) return null;
+    end = findNextQuote(lineText, start + 1, quote);
+    if (end === -1) return null;
   }
-  return null;
+  if (type === "i") {
+    return { start: start + 1, end };
+  }
+  // a" takes the whitespace after the closing quote, or before the opening
+  // one when there is none after.
+  end++;
+  if (end < lineText.length && isWhitespace(lineText[end])) {
+    while (end < lineText.length && isWhitespace(lineText[end])) end++;
+  } else {
+    while (start > 0 && isWhitespace(lineText[start - 1])) start--;
+  }
+  return { start, end };
 };
 
 const offsetToPos = (rep, offset) => {
@@ -306,7 +637,7 @@ const offsetToPos = (rep, offset) => {
   for (let i = 0; i < totalLines; i++) {
     const lineStart = rep.lines.offsetOfIndex(i);
     const lineLen = getLineText(rep, i).length;
-    if (offset >= lineStart && offset < lineStart + lineLen) {
+    if (offset >= lineStart && offset <= lineStart + lineLen) {
       return { line: i, char: offset - lineStart };
     }
   }
@@ -350,6 +681,70 @@ const matchingBracketPos = (rep, line, char) => {
   return null;
 };
 
+const OBJECT_BRACKETS = { "(": ")", "{": "}", "[": "]", "<": ">" };
+
+// Bracket objects search the whole pad like %, and a count selects an outer
+// level of nesting. The inner object leaves out a line break straight after
+// the opening bracket and the indent before the closing one, so a block
+// whose brackets sit on lines of their own becomes linewise.
+const textBracketRange = (rep, line, char, bracket, type, count = 1) => {
+  const open =
+    bracket in OBJECT_BRACKETS
+      ? bracket
+      : Object.keys(OBJECT_BRACKETS).find(
+          (key) => OBJECT_BRACKETS[key] === bracket,
+        );
+  const close = OBJECT_BRACKETS[open];
+  const text = rep.alltext;
+  const cursor = rep.lines.offsetOfIndex(line) + char;
+  let openPos = -1;
+  let depth = 0;
+  let level = 0;
+  const from = text[cursor] === close ? cursor - 1 : cursor;
+  for (let i = from; i >= 0 && openPos === -1; i--) {
+    if (text[i] === close) depth++;
+    else if (text[i] === open && depth > 0) depth--;
+    else if (text[i] === open && ++level === count) openPos = i;
+  }
+  if (openPos === -1) return null;
+  let closePos = -1;
+  depth = 0;
+  for (let i = openPos + 1; i < text.length && closePos === -1; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && depth > 0) depth--;
+    else if (text[i] === close) closePos = i;
+  }
+  if (closePos === -1) return null;
+
+  if (type === "a") {
+    const start = offsetToPos(rep, openPos);
+    const end = offsetToPos(rep, closePos);
+    return {
+      startLine: start.line,
+      startChar: start.char,
+      endLine: end.line,
+      endChar: end.char + 1,
+    };
+  }
+  let innerStart = openPos + 1;
+  if (text[innerStart] === "\n") innerStart++;
+  let innerEnd = closePos;
+  const closeLineStart = text.lastIndexOf("\n", closePos - 1) + 1;
+  if (/^[ \t]*$/.test(text.slice(closeLineStart, closePos))) {
+    innerEnd = closeLineStart;
+  }
+  const start = offsetToPos(rep, innerStart);
+  const end = offsetToPos(rep, Math.max(innerStart, innerEnd));
+  const range = exclusiveRange(rep, start, end);
+  return {
+    startLine: range.start.line,
+    startChar: range.start.char,
+    endLine: range.end.line,
+    endChar: range.end.char,
+    linewise: range.linewise,
+  };
+};
+
 const paragraphTextRange = (rep, line, type) => {
   const totalLines = rep.lines.length();
   const lineIsBlank = (l) => getLineText(rep, l).length === 0;
@@ -397,6 +792,59 @@ const paragraphTextRange = (rep, line, type) => {
   };
 };
 
+const isBlankLine = (rep, line) => getLineText(rep, line).trim() === "";
+
+const linewiseRange = (rep, startLine, endLine) => ({
+  startLine,
+  startChar: 0,
+  endLine,
+  endChar: getLineText(rep, endLine).length,
+  linewise: true,
+});
+
+// ii takes the lines around the cursor indented at least as far as the cursor
+// line, blank lines inside the block included. ai reaches out to the nearest
+// non-blank line above and below, which usually hold the block's header and
+// closing bracket. On a blank line the block of the next non-blank line is
+// used.
+const indentTextRange = (rep, line, type) => {
+  const totalLines = rep.lines.length();
+  let base = line;
+  while (base < totalLines - 1 && isBlankLine(rep, base)) base++;
+  while (base > 0 && isBlankLine(rep, base)) base--;
+  if (isBlankLine(rep, base)) return null;
+  const indent = firstNonBlank(getLineText(rep, base));
+  const inBlock = (l) =>
+    isBlankLine(rep, l) || firstNonBlank(getLineText(rep, l)) >= indent;
+  let start = base;
+  while (start > 0 && inBlock(start - 1)) start--;
+  let end = base;
+  while (end < totalLines - 1 && inBlock(end + 1)) end++;
+  while (isBlankLine(rep, start)) start++;
+  while (isBlankLine(rep, end)) end--;
+  if (type === "a") {
+    let above = start - 1;
+    while (above >= 0 && isBlankLine(rep, above)) above--;
+    if (above >= 0) start = above;
+    let below = end + 1;
+    while (below < totalLines && isBlankLine(rep, below)) below++;
+    if (below < totalLines) end = below;
+  }
+  return linewiseRange(rep, start, end);
+};
+
+// ae covers the whole pad; ie leaves out blank lines at its start and end.
+const entireTextRange = (rep, type) => {
+  let start = 0;
+  let end = rep.lines.length() - 1;
+  if (type === "i") {
+    while (start <= end && isBlankLine(rep, start)) start++;
+    while (end >= start && isBlankLine(rep, end)) end--;
+    if (start > end) return null;
+  }
+  return linewiseRange(rep, start, end);
+};
+
 const sentenceTextRange = (lineText, char, type) => {
   const isTerminator = (ch) => ch === "." || ch === "!" || ch === "?";
   let start = 0;
@@ -427,6 +875,12 @@ const sentenceTextRange = (lineText, char, type) => {
   return { start, end: e };
 };
 
+const getLines = (rep, topLine, bottomLine) => {
+  const lines = [];
+  for (let i = topLine; i <= bottomLine; i++) lines.push(getLineText(rep, i));
+  return lines;
+};
+
 const getTextInRange = (rep, start, end, type) => {
   if (start[0] === end[0]) {
     return getLineText(rep, start[0]).slice(start[1], end[1]);
@@ -440,7 +894,846 @@ const getTextInRange = (rep, start, end, type) => {
   return parts.join("\n");
 };
 
+const orderPositions = (a, b) => {
+  if (a[0] < b[0] || (a[0] === b[0] && a[1] <= b[1])) return [a, b];
+  return [b, a];
+};
+
+// mode is "lower", "upper" or "toggle" for gu, gU and g~.
+const changeCase = (text, mode) => {
+  if (mode === "lower") return text.toLowerCase();
+  if (mode === "upper") return text.toUpperCase();
+  let toggled = "";
+  for (const ch of text) {
+    toggled += ch === ch.toLowerCase() ? ch.toUpperCase() : ch.toLowerCase();
+  }
+  return toggled;
+};
+
+// Width of a line's indent in columns, with a tab stop every tabstop columns.
+const indentWidth = (lineText) => {
+  let width = 0;
+  for (const ch of lineText) {
+    if (ch === " ") width++;
+    else if (ch === "\t") width += options.tabstop - (width % options.tabstop);
+    else break;
+  }
+  return width;
+};
+
+// Without expandtab the indent is made of tabs as far as they go.
+const indentString = (width) => {
+  if (width <= 0) return "";
+  if (options.expandtab) return " ".repeat(width);
+  const tabs = Math.floor(width / options.tabstop);
+  return "\t".repeat(tabs) + " ".repeat(width - tabs * options.tabstop);
+};
+
+const cellWidth = (ch, column) =>
+  ch === "\t" ? options.tabstop - (column % options.tabstop) : 1;
+
+// gR replaces screen cells rather than characters: text typed at char
+// overwrites the characters that fit in the cells it takes up, and goes in
+// before a tab that is wider than it. The tab shrinks as it is pushed right,
+// so it is overwritten once typing reaches its tab stop. Returns the end of
+// the text overwritten.
+const virtualReplaceEnd = (lineText, char, text) => {
+  let column = 0;
+  for (const ch of lineText.slice(0, char)) column += cellWidth(ch, column);
+  const limit = column + cellWidth(text, column);
+  let end = char;
+  while (end < lineText.length) {
+    const width = cellWidth(lineText[end], column);
+    if (column + width > limit) break;
+    column += width;
+    end++;
+  }
+  return end;
+};
+
+const reindent = (lineText, width) =>
+  indentString(width) + lineText.replace(/^[ \t]+/, "");
+
+// > and <: moves a line's indent by shiftWidth columns per step, rewriting it
+// with indentString. Blank lines are left alone.
+const shiftLine = (lineText, steps, shiftWidth) => {
+  if (lineText.trim() === "") return lineText;
+  return reindent(lineText, indentWidth(lineText) + steps * shiftWidth);
+};
+
+// Insert-mode Ctrl-T and Ctrl-D: one shiftWidth more or less indent, rounded
+// to a multiple of shiftWidth. Unlike shiftLine this indents blank lines too.
+const shiftIndentLevel = (lineText, steps, shiftWidth) => {
+  const width = indentWidth(lineText);
+  const levels =
+    steps > 0
+      ? Math.floor(width / shiftWidth) + steps
+      : Math.ceil(width / shiftWidth) + steps;
+  return reindent(lineText, levels * shiftWidth);
+};
+
+// Insert-mode Ctrl-W: the column where the word before `char` starts, after
+// skipping the whitespace in front of the cursor. Runs of punctuation count
+// as words, as they do for w and b.
+const wordStartBefore = (lineText, char) => {
+  let pos = char;
+  while (pos > 0 && isWhitespace(lineText[pos - 1])) pos--;
+  if (pos === 0) return 0;
+  const word = isWordChar(lineText[pos - 1]);
+  while (
+    pos > 0 &&
+    !isWhitespace(lineText[pos - 1]) &&
+    isWordChar(lineText[pos - 1]) === word
+  ) {
+    pos--;
+  }
+  return pos;
+};
+
+const OPENERS = "([{";
+const CLOSERS = ")]}";
+
+const leadingClosers = (trimmed) => {
+  let n = 0;
+  while (n < trimmed.length && CLOSERS.includes(trimmed[n])) n++;
+  return n;
+};
+
+// =: a line goes one shiftWidth deeper than the line holding the innermost
+// bracket still open before it, and back out when it starts with the closing
+// bracket. Outside any bracket it keeps the indent of prevLine (the nearest
+// non-blank line above, or null at the top of the pad). Blank lines are
+// emptied.
+const reindentLines = (lines, prevLine, shiftWidth) => {
+  const open = [];
+  const scan = (text, width) => {
+    for (const ch of text) {
+      if (OPENERS.includes(ch)) open.push(width);
+      else if (CLOSERS.includes(ch)) open.pop();
+    }
+  };
+  let base = 0;
+  if (prevLine !== null) {
+    const trimmed = prevLine.trim();
+    base = indentWidth(prevLine);
+    scan(trimmed.slice(leadingClosers(trimmed)), base);
+  }
+  return lines.map((lineText) => {
+    const trimmed = lineText.trim();
+    if (trimmed === "") return "";
+    const closers = leadingClosers(trimmed);
+    for (let i = 0; i < closers; i++) {
+      if (open.length > 0) open.pop();
+      else base = Math.max(0, base - shiftWidth);
+    }
+    const width = open.length > 0 ? open[open.length - 1] + shiftWidth : base;
+    scan(trimmed.slice(closers), width);
+    return reindent(lineText, width);
+  });
+};
+
+// Prefix of a line kept by gq: indent, then any "> " quote markers, then a
+// list marker such as "- ", "* " or "1. ".
+const FORMAT_PREFIX = /^([ \t]*)((?:> ?)*)((?:[-*+]|\d+[.)]) +)?/;
+
+// gq: rewraps lines to width. A paragraph ends at a blank line, at a change
+// of quote prefix and before each list item. Its first line keeps its prefix
+// and the lines after it repeat the indent and quote markers, with a list
+// item's text lined up under the text of its first line.
+const formatLines = (lines, width) => {
+  const result = [];
+  let item = null;
+  const flush = () => {
+    if (item === null) return;
+    let current = item.firstPrefix;
+    let empty = true;
+    for (const word of item.words) {
+      if (!empty && current.length + 1 + word.length > width) {
+        result.push(current);
+        current = item.prefix + word;
+      } else {
+        current += (empty ? "" : " ") + word;
+      }
+      empty = false;
+    }
+    result.push(current);
+    item = null;
+  };
+  for (const lineText of lines) {
+    const [prefix, indent, quote, marker] = FORMAT_PREFIX.exec(lineText);
+    const words = lineText.slice(prefix.length).split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      flush();
+      result.push(lineText.trimEnd());
+      continue;
+    }
+    if (item === null || marker || quote.trim() !== item.quote) {
+      flush();
+      const hanging = marker ? " ".repeat(marker.length) : "";
+      item = {
+        firstPrefix: prefix,
+        prefix: indent + quote + hanging,
+        quote: quote.trim(),
+        words: [],
+      };
+    }
+    item.words.push(...words);
+  }
+  flush();
+  return result;
+};
+
+// The words of lines as formatLines sees them, after any indent, quote or
+// list marker, each with its line and column.
+const formatWords = (lines) => {
+  const words = [];
+  lines.forEach((lineText, line) => {
+    const re = /\S+/g;
+    re.lastIndex = FORMAT_PREFIX.exec(lineText)[0].length;
+    let m;
+    while ((m = re.exec(lineText)) !== null) {
+      words.push({ line, start: m.index, end: m.index + m[0].length });
+    }
+  });
+  return words;
+};
+
+// gw keeps the cursor on the same text: finds [line, char] of lines again in
+// the lines formatLines made of them. Off a word, the cursor goes to the start
+// of the next one.
+const formattedPosition = (lines, formatted, line, char) => {
+  const before = formatWords(lines);
+  const after = formatWords(formatted);
+  const index = before.findIndex(
+    (w) => w.line > line || (w.line === line && w.end > char),
+  );
+  if (index === -1 || index >= after.length) {
+    const last = formatted.length - 1;
+    return [last, formatted[last].length];
+  }
+  const word = before[index];
+  const offset =
+    word.line === line && word.start <= char ? char - word.start : 0;
+  return [after[index].line, after[index].start + offset];
+};
+
+// Ctrl-A / Ctrl-X look for the first number ending after char: a hex number
+// starting 0x, or decimal digits with a minus sign straight before them.
+const findNumber = (lineText, char) => {
+  for (const match of lineText.matchAll(/0[xX][0-9a-fA-F]+|\d+/g)) {
+    const end = match.index + match[0].length;
+    if (end <= char) continue;
+    const hex = /^0[xX]/.test(match[0]);
+    const negative = !hex && lineText[match.index - 1] === "-";
+    return { start: negative ? match.index - 1 : match.index, end, hex };
+  }
+  return null;
+};
+
+const HEX_MODULUS = 1n << 64n;
+
+// Adds delta to the number found by findNumber. Decimal numbers with leading
+// zeros keep their width; hex numbers wrap as unsigned 64-bit values and keep
+// their width and letter case. Returns the new line text and the column of
+// the number's last character, or null when there is no number.
+const incrementNumber = (lineText, char, delta) => {
+  const found = findNumber(lineText, char);
+  if (!found) return null;
+  const { start, end, hex } = found;
+  const text = lineText.slice(start, end);
+  let replacement;
+  if (hex) {
+    const digits = text.slice(2);
+    let value = (BigInt(`0x${digits}`) + BigInt(delta)) % HEX_MODULUS;
+    if (value < 0n) value += HEX_MODULUS;
+    let result = value.toString(16).padStart(digits.length, "0");
+    if (/[A-F]/.test(digits) && !/[a-f]/.test(digits)) {
+      result = result.toUpperCase();
+    }
+    replacement = text.slice(0, 2) + result;
+  } else {
+    const digits = text.replace("-", "");
+    const value = BigInt(text) + BigInt(delta);
+    let result = (value < 0n ? -value : value).toString();
+    if (digits.length > 1 && digits[0] === "0") {
+      result = result.padStart(digits.length, "0");
+    }
+    replacement = (value < 0n ? "-" : "") + result;
+  }
+  return {
+    text: lineText.slice(0, start) + replacement + lineText.slice(end),
+    char: start + replacement.length - 1,
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ignorecase makes searches ignore case, unless smartcase is set as well and
+// the pattern has an uppercase letter. \c and \C in the pattern override both.
+const searchIgnoresCase = (pattern) => {
+  if (/\\c/.test(pattern)) return true;
+  if (/\\C/.test(pattern)) return false;
+  return options.ignorecase && !(options.smartcase && /[A-Z]/.test(pattern));
+};
+
+const compileSearch = (pattern, ignoreCase = searchIgnoresCase(pattern)) => {
+  const source = pattern.replace(/\\[cC]/g, "").replace(/\\[<>]/g, "\\b");
+  try {
+    return new RegExp(source, ignoreCase ? "gi" : "g");
+  } catch (e) {
+    return null;
+  }
+};
+
+const lineMatches = (lineText, regex) => {
+  const matches = [];
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(lineText)) !== null) {
+    matches.push({ start: m.index, end: m.index + m[0].length });
+    if (m[0].length === 0) regex.lastIndex++;
+  }
+  return matches;
+};
+
+const searchMatches = (rep, regex) => {
+  const matches = [];
+  const totalLines = rep.lines.length();
+  for (let line = 0; line < totalLines; line++) {
+    for (const m of lineMatches(getLineText(rep, line), regex)) {
+      matches.push({ line, start: m.start, end: m.end });
+    }
+  }
+  return matches;
+};
+
+const searchForward = (rep, regex, line, char, count) => {
+  const totalLines = rep.lines.length();
+  let pos = { line, char, wrapped: false };
+  for (let n = 0; n < count; n++) {
+    let found = null;
+    for (let i = 0; i <= totalLines && !found; i++) {
+      if (!options.wrapscan && pos.line + i >= totalLines) break;
+      const l = (pos.line + i) % totalLines;
+      for (const m of lineMatches(getLineText(rep, l), regex)) {
+        if (i === 0 && m.start <= pos.char) continue;
+        if (i === totalLines && m.start > pos.char) break;
+        found = {
+          line: l,
+          char: m.start,
+          wrapped: pos.wrapped || pos.line + i >= totalLines,
+        };
+        break;
+      }
+    }
+    if (!found) return null;
+    pos = found;
+  }
+  return pos;
+};
+
+const searchBackward = (rep, regex, line, char, count) => {
+  const totalLines = rep.lines.length();
+  let pos = { line, char, wrapped: false };
+  for (let n = 0; n < count; n++) {
+    let found = null;
+    for (let i = 0; i <= totalLines && !found; i++) {
+      if (!options.wrapscan && pos.line - i < 0) break;
+      const l = (((pos.line - i) % totalLines) + totalLines) % totalLines;
+      const matches = lineMatches(getLineText(rep, l), regex);
+      for (let j = matches.length - 1; j >= 0; j--) {
+        const m = matches[j];
+        if (i === 0 && m.start >= pos.char) continue;
+        if (i === totalLines && m.start < pos.char) break;
+        found = {
+          line: l,
+          char: m.start,
+          wrapped: pos.wrapped || pos.line - i < 0,
+        };
+        break;
+      }
+    }
+    if (!found) return null;
+    pos = found;
+  }
+  return pos;
+};
+
+const wordUnderCursor = (lineText, char) => {
+  let pos = char;
+  while (pos < lineText.length && !isWordChar(lineText[pos])) pos++;
+  if (pos >= lineText.length) return null;
+  const range = textWordRange(lineText, pos, "i");
+  return { start: range.start, word: lineText.slice(range.start, range.end) };
+};
+
+const isDigit = (ch) => ch >= "0" && ch <= "9";
+
+const parseExAddress = (text, pos, ctx) => {
+  let i = pos;
+  let line = null;
+  if (isDigit(text[i])) {
+    let j = i;
+    while (isDigit(text[j])) j++;
+    line = parseInt(text.slice(i, j), 10) - 1;
+    i = j;
+  } else if (text[i] === ".") {
+    line = ctx.line;
+    i++;
+  } else if (text[i] === "$") {
+    line = ctx.lastLine;
+    i++;
+  } else if (text[i] === "'") {
+    const mark = text[i + 1];
+    if (!(mark in ctx.marks)) return { error: "E20: Mark not set" };
+    line = ctx.marks[mark];
+    i += 2;
+  }
+  while (text[i] === "+" || text[i] === "-") {
+    if (line === null) line = ctx.line;
+    const sign = text[i] === "+" ? 1 : -1;
+    i++;
+    let j = i;
+    while (isDigit(text[j])) j++;
+    const amount = j > i ? parseInt(text.slice(i, j), 10) : 1;
+    line += sign * amount;
+    i = j;
+  }
+  if (line === null) return null;
+  return { line, pos: i };
+};
+
+const parseExRange = (text, ctx) => {
+  let i = 0;
+  while (text[i] === " " || text[i] === ":") i++;
+  if (text[i] === "%") {
+    return { start: 0, end: ctx.lastLine, rest: text.slice(i + 1) };
+  }
+  const first = parseExAddress(text, i, ctx);
+  if (first && first.error) return first;
+  if (!first && text[i] !== "," && text[i] !== ";") {
+    return { start: null, end: null, rest: text.slice(i) };
+  }
+  let start = first ? first.line : ctx.line;
+  let end = start;
+  if (first) i = first.pos;
+  while (text[i] === "," || text[i] === ";") {
+    const sep = text[i];
+    i++;
+    const next = parseExAddress(
+      text,
+      i,
+      sep === ";" ? Object.assign({}, ctx, { line: end }) : ctx,
+    );
+    if (next && next.error) return next;
+    start = end;
+    end = next ? next.line : ctx.line;
+    if (next) i = next.pos;
+  }
+  if (start > end) [start, end] = [end, start];
+  return { start, end, rest: text.slice(i) };
+};
+
+const parseExCommand = (text) => {
+  const m = /^\s*([a-zA-Z]*)(!?)\s*([\s\S]*)$/.exec(text);
+  return { name: m[1], bang: m[2] === "!", args: m[3] };
+};
+
+const findExCommand = (commands, name) =>
+  commands.find(
+    (cmd) => name.length >= cmd.minLength && cmd.name.startsWith(name),
+  ) || null;
+
+const completeExCommand = (commands, prefix) =>
+  commands
+    .map((cmd) => cmd.name)
+    .filter((name) => name.startsWith(prefix))
+    .sort();
+
+const parseSubstitute = (args) => {
+  const delim = args[0];
+  if (delim === undefined) return null;
+  if (/[\w\s\\"|]/.test(delim)) {
+    return { error: "E146: Regular expressions can't be delimited by letters" };
+  }
+  const fields = [""];
+  let i = 1;
+  while (i < args.length && fields.length < 3) {
+    const ch = args[i];
+    const last = fields.length - 1;
+    if (ch === "\\" && args[i + 1] === delim) {
+      fields[last] += delim;
+      i += 2;
+    } else if (ch === "\\" && i + 1 < args.length) {
+      fields[last] += ch + args[i + 1];
+      i += 2;
+    } else if (ch === delim) {
+      fields.push("");
+      i++;
+    } else {
+      fields[last] += ch;
+      i++;
+    }
+  }
+  const flags = fields.length === 3 ? args.slice(i).trim() : "";
+  if (!/^&?[gciIne]*$/.test(flags)) {
+    return { error: "E488: Trailing characters" };
+  }
+  return {
+    pattern: fields[0],
+    replacement: fields.length > 1 ? fields[1] : "",
+    flags,
+  };
+};
+
+const expandReplacement = (replacement, match) => {
+  let out = "";
+  for (let i = 0; i < replacement.length; i++) {
+    const ch = replacement[i];
+    if (ch === "&") {
+      out += match[0];
+    } else if (ch === "\\" && i + 1 < replacement.length) {
+      const next = replacement[++i];
+      if (isDigit(next)) out += match[Number(next)] || "";
+      else if (next === "r" || next === "n") out += "\n";
+      else if (next === "t") out += "\t";
+      else out += next;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+};
+
+const substituteMatches = (lineText, regex, replacement, global) => {
+  const subs = [];
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(lineText)) !== null) {
+    subs.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      text: expandReplacement(replacement, m),
+    });
+    if (!global) break;
+    if (m[0].length === 0) regex.lastIndex++;
+  }
+  return subs;
+};
+
+const applySubstitutions = (lineText, subs) => {
+  let out = "";
+  let pos = 0;
+  for (const sub of subs) {
+    out += lineText.slice(pos, sub.start) + sub.text;
+    pos = sub.end;
+  }
+  return out + lineText.slice(pos);
+};
+
+const isRegisterName = (ch) =>
+  typeof ch === "string" && /^[a-zA-Z0-9"\-_.%]$/.test(ch);
+
+const isReadOnlyRegister = (name) => name === "." || name === "%";
+
+// Register values come in three shapes: a string is charwise, an array of
+// lines is linewise and { block: lines } is blockwise.
+
+const registerLines = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "object") return value.block;
+  return value.split("\n");
+};
+
+const registerText = (value) => {
+  if (Array.isArray(value)) return value.join("\n") + "\n";
+  if (typeof value === "object") return value.block.join("\n");
+  return value;
+};
+
+const appendRegisterValue = (existing, value) => {
+  if (existing === undefined || existing === null) return value;
+  if (typeof existing === "object" && !Array.isArray(existing)) {
+    return { block: existing.block.concat(registerLines(value)) };
+  }
+  if (Array.isArray(existing) || typeof value !== "string") {
+    return registerLines(existing).concat(registerLines(value));
+  }
+  return existing + value;
+};
+
+const storeRegister = (registers, name, value, kind) => {
+  if (name === "_" || isReadOnlyRegister(name)) return;
+  if (name >= "A" && name <= "Z") {
+    const lower = name.toLowerCase();
+    registers[lower] = appendRegisterValue(registers[lower], value);
+    registers['"'] = registers[lower];
+    return;
+  }
+  registers['"'] = value;
+  if (name && name !== '"') {
+    registers[name] = value;
+  } else if (kind === "yank") {
+    registers["0"] = value;
+  } else if (typeof value !== "string" || value.includes("\n")) {
+    for (let i = 9; i > 1; i--) {
+      if (registers[String(i - 1)] !== undefined) {
+        registers[String(i)] = registers[String(i - 1)];
+      }
+    }
+    registers["1"] = value;
+  } else {
+    registers["-"] = value;
+  }
+};
+
+const KEY_NOTATION = {
+  Escape: "Esc",
+  Enter: "CR",
+  Backspace: "BS",
+  Tab: "Tab",
+  Delete: "Del",
+  ArrowUp: "Up",
+  ArrowDown: "Down",
+  ArrowLeft: "Left",
+  ArrowRight: "Right",
+  Home: "Home",
+  End: "End",
+  PageUp: "PageUp",
+  PageDown: "PageDown",
+};
+
+const NOTATION_ALIASES = {
+  lt: "<",
+  space: " ",
+  bar: "|",
+  bslash: "\\",
+  return: "Enter",
+  enter: "Enter",
+  nl: "Enter",
+};
+
+const notationToKey = (name) => {
+  const lower = name.toLowerCase();
+  if (lower in NOTATION_ALIASES) return NOTATION_ALIASES[lower];
+  for (const key of Object.keys(KEY_NOTATION)) {
+    if (KEY_NOTATION[key].toLowerCase() === lower) return key;
+  }
+  const ctrl = /^c-(.)$/i.exec(name);
+  if (ctrl) return `<C-${ctrl[1].toLowerCase()}>`;
+  return null;
+};
+
+const encodeKeys = (keys) =>
+  keys
+    .map((key) => {
+      if (key === "<") return "<lt>";
+      if (key in KEY_NOTATION) return `<${KEY_NOTATION[key]}>`;
+      return key;
+    })
+    .join("");
+
+// <leader> in mappings stands for the keys of mapleader.
+const parseKeyNotation = (text, leader = ["\\"]) => {
+  const keys = [];
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === "<") {
+      const close = text.indexOf(">", i);
+      const name = close === -1 ? null : text.slice(i + 1, close);
+      if (name !== null && name.toLowerCase() === "leader") {
+        keys.push(...leader);
+        i = close + 1;
+        continue;
+      }
+      const key = name === null ? null : notationToKey(name);
+      if (key !== null) {
+        keys.push(key);
+        i = close + 1;
+        continue;
+      }
+    }
+    keys.push(text[i] === "\n" ? "Enter" : text[i]);
+    i++;
+  }
+  return keys;
+};
+
+const startsWithKeys = (keys, prefix) =>
+  prefix.length <= keys.length && prefix.every((key, i) => keys[i] === key);
+
+// Matches typed keys against a mode's mappings. `mapping` is the one with the
+// longest lhs that the keys start with; `partial` tells whether the keys are
+// the start of a longer lhs, which is worth waiting for.
+const lookupMapping = (mappings, keys) => {
+  let mapping = null;
+  let partial = false;
+  for (const candidate of mappings) {
+    const { lhs } = candidate;
+    if (lhs.length > keys.length) {
+      if (startsWithKeys(lhs, keys)) partial = true;
+    } else if (
+      startsWithKeys(keys, lhs) &&
+      (mapping === null || lhs.length > mapping.lhs.length)
+    ) {
+      mapping = candidate;
+    }
+  }
+  return { mapping, partial };
+};
+
+// The commands of a vimrc with their line numbers. Blank lines and comments,
+// which start with ", are skipped, as is a colon in front of a command.
+const configLines = (text) => {
+  const commands = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const command = raw.trim().replace(/^:+\s*/, "");
+    if (command !== "" && !command.startsWith('"')) {
+      commands.push({ line: index + 1, command });
+    }
+  });
+  return commands;
+};
+
+// Finds an insert-mode abbreviation whose lhs ends at `char` and starts no
+// earlier than `from`. An lhs starting with a word character must not follow
+// one, any other lhs must follow a blank. Returns its start and rhs.
+const abbreviationAt = (lineText, char, abbreviations, from = 0) => {
+  for (const [lhs, rhs] of abbreviations) {
+    const start = char - lhs.length;
+    if (start < from || lineText.slice(start, char) !== lhs) continue;
+    const before = lineText[start - 1];
+    if (
+      before === undefined ||
+      (isWordChar(lhs[0]) ? !isWordChar(before) : isWhitespace(before))
+    ) {
+      return { start, rhs };
+    }
+  }
+  return null;
+};
+
+// The mode shown at the left of the status line. A normal-mode command run
+// from insert mode with Ctrl-O shows "(insert)" instead of nothing. virtual
+// is gR's replace mode.
+const modeText = ({ insert, replace, virtual, visual, insertCommand }) => {
+  if (insert && virtual) return "-- VREPLACE --";
+  if (insert) return replace ? "-- REPLACE --" : "-- INSERT --";
+  const parts = [];
+  if (insertCommand) {
+    const mode = insertCommand.virtual
+      ? "vreplace"
+      : insertCommand.replace
+        ? "replace"
+        : "insert";
+    parts.push(`(${mode})`);
+  }
+  if (visual === "char") parts.push("VISUAL");
+  if (visual === "line") parts.push("VISUAL LINE");
+  if (visual === "block") parts.push("VISUAL BLOCK");
+  return parts.length > 0 ? `-- ${parts.join(" ")} --` : "";
+};
+
+// The size of a visual selection as Vim's showcmd gives it: characters within
+// one line, lines across several, and lines x columns for a block.
+const selectionSize = (mode, anchor, cursor) => {
+  const lines = Math.abs(cursor[0] - anchor[0]) + 1;
+  const chars = Math.abs(cursor[1] - anchor[1]) + 1;
+  if (mode === "block") return `${lines}x${chars}`;
+  if (mode === "char" && lines === 1) return String(chars);
+  return String(lines);
+};
+
+// line:column, both counted from 1, and how far through the pad the line is.
+const rulerText = (line, char, lineCount) => {
+  const percent = Math.floor(((line + 1) * 100) / Math.max(1, lineCount));
+  return `${line + 1}:${char + 1}  ${percent}%`;
+};
+
+// Describes the lines an Etherpad changeset changes: `removed` lines starting
+// at `start` were replaced by `inserted` new ones, and `char` is the column on
+// `start` where the change begins. Changes far apart in one changeset are
+// covered by a single splice. Returns null when no text changed, as for a
+// change of attributes only.
+const CHANGESET_HEADER = /^Z:[0-9a-z]+[<>][0-9a-z]+/;
+const CHANGESET_OP = /(?:\*[0-9a-z]+)*(?:\|([0-9a-z]+))?([-+=])([0-9a-z]+)/g;
+
+const changesetSplice = (changeset) => {
+  const header = CHANGESET_HEADER.exec(changeset || "");
+  if (!header) return null;
+  const bank = changeset.indexOf("$");
+  const ops = changeset.slice(header[0].length, bank === -1 ? undefined : bank);
+  let oldLine = 0;
+  let newLine = 0;
+  let char = 0;
+  let splice = null;
+  for (const [, newlines, opcode, chars] of ops.matchAll(CHANGESET_OP)) {
+    const lines = newlines ? parseInt(newlines, 36) : 0;
+    if (opcode === "=") {
+      // An op that spans lines ends with a newline.
+      char = lines > 0 ? 0 : char + parseInt(chars, 36);
+    } else if (splice === null) {
+      splice = { start: oldLine, char };
+    }
+    if (opcode !== "+") oldLine += lines;
+    if (opcode !== "-") newLine += lines;
+    if (opcode !== "=") {
+      splice.removed = oldLine - splice.start;
+      splice.inserted = newLine - splice.start;
+    }
+  }
+  return splice;
+};
+
+const countLines = (text) => text.split("\n").length - 1;
+
+// The same description of a change, found by comparing the text before and
+// after it from both ends.
+const textSplice = (before, after) => {
+  if (before === after) return null;
+  const shorter = Math.min(before.length, after.length);
+  let prefix = 0;
+  while (prefix < shorter && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < shorter - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const head = before.slice(0, prefix);
+  return {
+    start: countLines(head),
+    char: prefix - head.lastIndexOf("\n") - 1,
+    removed: countLines(before.slice(prefix, before.length - suffix)),
+    inserted: countLines(after.slice(prefix, after.length - suffix)),
+  };
+};
+
+// Moves a [line, char] position to follow a changesetSplice. Lines below the
+// splice shift by the change in line count, and so does the text after the
+// change on its first line, while the text before it stays. A position on a
+// replaced line stays where it is if that line still exists, else it goes to
+// the line after the insertion.
+const adjustPosition = ([line, char], splice) => {
+  const { start, removed, inserted } = splice;
+  if (line < start || (line === start && char < splice.char)) {
+    return [line, char];
+  }
+  if (line >= start + removed) return [line + inserted - removed, char];
+  if (line - start < inserted) return [line, char];
+  return [start + inserted, 0];
+};
+
 module.exports = {
+  OPTION_DEFS,
+  options,
+  resetOptions,
+  formatOption,
+  setOption,
+  parseKeywordSpec,
+  searchIgnoresCase,
+  indentString,
   isWordChar,
   isWhitespace,
   clampLine,
@@ -452,6 +1745,10 @@ module.exports = {
   wordForward,
   wordBackward,
   wordEnd,
+  wordEndBackward,
+  wordMotionPos,
+  exclusiveRange,
+  wordMotionRange,
   charSearchPos,
   motionRange,
   charMotionRange,
@@ -459,10 +1756,60 @@ module.exports = {
   textQuoteRange,
   textBracketRange,
   getVisualSelection,
+  getVisualBlock,
+  blockPutLine,
   paragraphForward,
   paragraphBackward,
   getTextInRange,
+  getLines,
   matchingBracketPos,
   paragraphTextRange,
+  indentTextRange,
+  entireTextRange,
   sentenceTextRange,
+  orderPositions,
+  changeCase,
+  indentWidth,
+  shiftLine,
+  shiftIndentLevel,
+  wordStartBefore,
+  reindentLines,
+  formatLines,
+  formattedPosition,
+  findNumber,
+  incrementNumber,
+  escapeRegex,
+  compileSearch,
+  lineMatches,
+  searchMatches,
+  searchForward,
+  searchBackward,
+  wordUnderCursor,
+  parseExAddress,
+  parseExRange,
+  parseExCommand,
+  findExCommand,
+  completeExCommand,
+  parseSubstitute,
+  expandReplacement,
+  substituteMatches,
+  applySubstitutions,
+  isRegisterName,
+  isReadOnlyRegister,
+  registerText,
+  appendRegisterValue,
+  storeRegister,
+  encodeKeys,
+  parseKeyNotation,
+  changesetSplice,
+  textSplice,
+  adjustPosition,
+  virtualReplaceEnd,
+  startsWithKeys,
+  lookupMapping,
+  configLines,
+  abbreviationAt,
+  modeText,
+  selectionSize,
+  rulerText,
 };
@@ -1,6 +1,6 @@
 "use strict";
 
-const { describe, it } = require("node:test");
+const { describe, it, afterEach } = require("node:test");
 const assert = require("node:assert/strict");
 const {
   isWordChar,
@@ -14,6 +14,10 @@ const {
   wordForward,
   wordBackward,
   wordEnd,
+  wordEndBackward,
+  wordMotionPos,
+  exclusiveRange,
+  wordMotionRange,
   charSearchPos,
   motionRange,
   charMotionRange,
@@ -21,16 +25,75 @@ const {
   textQuoteRange,
   textBracketRange,
   getVisualSelection,
+  getVisualBlock,
+  blockPutLine,
   paragraphForward,
   paragraphBackward,
   getTextInRange,
+  orderPositions,
+  escapeRegex,
+  compileSearch,
+  lineMatches,
+  searchForward,
+  searchBackward,
+  wordUnderCursor,
+  getLines,
+  parseExAddress,
+  parseExRange,
+  parseExCommand,
+  findExCommand,
+  completeExCommand,
+  parseSubstitute,
+  expandReplacement,
+  substituteMatches,
+  applySubstitutions,
+  isRegisterName,
+  isReadOnlyRegister,
+  registerText,
+  appendRegisterValue,
+  storeRegister,
+  encodeKeys,
+  parseKeyNotation,
+  indentTextRange,
+  entireTextRange,
+  changeCase,
+  indentWidth,
+  shiftLine,
+  shiftIndentLevel,
+  wordStartBefore,
+  reindentLines,
+  formatLines,
+  formattedPosition,
+  findNumber,
+  incrementNumber,
+  changesetSplice,
+  textSplice,
+  adjustPosition,
+  virtualReplaceEnd,
+  startsWithKeys,
+  lookupMapping,
+  configLines,
+  abbreviationAt,
+  options,
+  resetOptions,
+  formatOption,
+  setOption,
+  parseKeywordSpec,
+  searchIgnoresCase,
+  indentString,
+  modeText,
+  selectionSize,
+  rulerText,
 } = require("./vim-core");
 
 const makeRep = (lines) => ({
   lines: {
     length: () => lines.length,
     atIndex: (n) => ({ text: lines[n] }),
+    offsetOfIndex: (n) =>
+      lines.slice(0, n).reduce((sum, text) => sum + text.length + 1, 0),
   },
+  alltext: lines.join("\n") + "\n",
 });
 
 describe("isWordChar", () => {
@@ -179,57 +242,286 @@ describe("findCharBackward", () => {
   });
 });
 
+const one = (text) => makeRep([text]);
+
 describe("wordForward", () => {
   it("moves past a word to start of next word", () => {
-    assert.equal(wordForward("hello world", 0), 6);
+    assert.deepEqual(wordForward(one("hello world"), 0, 0), {
+      line: 0,
+      char: 6,
+    });
   });
 
   it("moves past punctuation to start of next token", () => {
-    assert.equal(wordForward("foo.bar", 0), 3);
+    assert.deepEqual(wordForward(one("foo.bar"), 0, 0), { line: 0, char: 3 });
   });
 
   it("skips trailing whitespace", () => {
-    assert.equal(wordForward("hello   world", 0), 8);
+    assert.deepEqual(wordForward(one("hello   world"), 0, 0), {
+      line: 0,
+      char: 8,
+    });
   });
 
   it("moves to end of line when no next word", () => {
-    assert.equal(wordForward("hello", 0), 5);
+    assert.deepEqual(wordForward(one("hello"), 0, 0), { line: 0, char: 5 });
   });
 
   it("moves from whitespace to next word", () => {
-    assert.equal(wordForward("  hello", 0), 2);
+    assert.deepEqual(wordForward(one("  hello"), 0, 0), { line: 0, char: 2 });
+  });
+
+  it("moves past punctuation inside a WORD", () => {
+    assert.deepEqual(wordForward(one("foo.bar() baz"), 0, 0, true), {
+      line: 0,
+      char: 10,
+    });
+  });
+
+  it("continues onto the first word of the next line", () => {
+    const rep = makeRep(["foo", "  bar"]);
+    assert.deepEqual(wordForward(rep, 0, 0), { line: 1, char: 2 });
+  });
+
+  it("stops on an empty line", () => {
+    const rep = makeRep(["foo", "", "bar"]);
+    assert.deepEqual(wordForward(rep, 0, 0), { line: 1, char: 0 });
+  });
+
+  it("stops at the line end with stopAtEol", () => {
+    const rep = makeRep(["foo", "bar"]);
+    assert.deepEqual(wordForward(rep, 0, 0, false, true), {
+      line: 0,
+      char: 3,
+    });
   });
 });
 
 describe("wordBackward", () => {
   it("moves back to start of previous word", () => {
-    assert.equal(wordBackward("hello world", 6), 0);
+    assert.deepEqual(wordBackward(one("hello world"), 0, 6), {
+      line: 0,
+      char: 0,
+    });
   });
 
   it("moves back past whitespace", () => {
-    assert.equal(wordBackward("hello   world", 8), 0);
+    assert.deepEqual(wordBackward(one("hello   world"), 0, 8), {
+      line: 0,
+      char: 0,
+    });
   });
 
   it("stops at start of line", () => {
-    assert.equal(wordBackward("hello", 0), 0);
+    assert.deepEqual(wordBackward(one("hello"), 0, 0), { line: 0, char: 0 });
   });
 
   it("moves to start of current word from middle", () => {
-    assert.equal(wordBackward("hello world", 8), 6);
+    assert.deepEqual(wordBackward(one("hello world"), 0, 8), {
+      line: 0,
+      char: 6,
+    });
+  });
+
+  it("moves back over a whole WORD", () => {
+    assert.deepEqual(wordBackward(one("x a/b/c"), 0, 6, true), {
+      line: 0,
+      char: 2,
+    });
+  });
+
+  it("continues onto the last word of the previous line", () => {
+    const rep = makeRep(["foo bar  ", "baz"]);
+    assert.deepEqual(wordBackward(rep, 1, 0), { line: 0, char: 4 });
+  });
+
+  it("stops on an empty line", () => {
+    const rep = makeRep(["foo", "", "bar"]);
+    assert.deepEqual(wordBackward(rep, 2, 0), { line: 1, char: 0 });
   });
 });
 
 describe("wordEnd", () => {
   it("moves to end of current/next word", () => {
-    assert.equal(wordEnd("hello world", 0), 4);
+    assert.deepEqual(wordEnd(one("hello world"), 0, 0), { line: 0, char: 4 });
   });
 
   it("skips whitespace then finds end of next word", () => {
-    assert.equal(wordEnd("hello world", 4), 10);
+    assert.deepEqual(wordEnd(one("hello world"), 0, 4), {
+      line: 0,
+      char: 10,
+    });
   });
 
   it("moves to end of punctuation run", () => {
-    assert.equal(wordEnd("foo...bar", 0), 2);
+    assert.deepEqual(wordEnd(one("foo...bar"), 0, 0), { line: 0, char: 2 });
+  });
+
+  it("moves to the end of a WORD", () => {
+    assert.deepEqual(wordEnd(one("foo...bar baz"), 0, 0, true), {
+      line: 0,
+      char: 8,
+    });
+  });
+
+  it("skips line breaks and empty lines", () => {
+    const rep = makeRep(["foo", "", "  bar"]);
+    assert.deepEqual(wordEnd(rep, 0, 2), { line: 2, char: 4 });
+  });
+
+  it("stays on the end of a word with stayInWord", () => {
+    assert.deepEqual(wordEnd(one("foo bar"), 0, 2, false, true), {
+      line: 0,
+      char: 2,
+    });
+  });
+
+  it("does not move at the end of the pad", () => {
+    assert.deepEqual(wordEnd(one("foo"), 0, 2), { line: 0, char: 2 });
+  });
+});
+
+describe("wordEndBackward", () => {
+  it("moves to the end of the previous word", () => {
+    assert.deepEqual(wordEndBackward(one("hello world"), 0, 8), {
+      line: 0,
+      char: 4,
+    });
+  });
+
+  it("stops at punctuation for small words", () => {
+    assert.deepEqual(wordEndBackward(one("foo.bar"), 0, 5), {
+      line: 0,
+      char: 3,
+    });
+  });
+
+  it("skips punctuation for WORDs", () => {
+    assert.deepEqual(wordEndBackward(one("x foo.bar"), 0, 7, true), {
+      line: 0,
+      char: 0,
+    });
+  });
+
+  it("moves from whitespace to the end of the word before", () => {
+    assert.deepEqual(wordEndBackward(one("foo   bar"), 0, 4), {
+      line: 0,
+      char: 2,
+    });
+  });
+
+  it("stops at start of pad", () => {
+    assert.deepEqual(wordEndBackward(one("hello"), 0, 3), {
+      line: 0,
+      char: 0,
+    });
+  });
+
+  it("continues onto the previous line", () => {
+    const rep = makeRep(["foo", "bar"]);
+    assert.deepEqual(wordEndBackward(rep, 1, 1), { line: 0, char: 2 });
+  });
+});
+
+describe("wordMotionPos", () => {
+  it("counts across many lines", () => {
+    const rep = makeRep(["a b", "c", "", "d e"]);
+    assert.deepEqual(wordMotionPos("w", rep, 0, 0, 4), { line: 3, char: 0 });
+  });
+
+  it("counts backwards across lines", () => {
+    const rep = makeRep(["a b", "c", "d e"]);
+    assert.deepEqual(wordMotionPos("b", rep, 2, 2, 3), { line: 0, char: 2 });
+  });
+
+  it("ends on the last line end when words run out", () => {
+    const rep = makeRep(["a", "b"]);
+    assert.deepEqual(wordMotionPos("w", rep, 0, 0, 5), { line: 1, char: 1 });
+  });
+});
+
+describe("exclusiveRange", () => {
+  const rep = makeRep(["  foo bar", "baz"]);
+
+  it("leaves ranges that end mid-line alone", () => {
+    const range = exclusiveRange(
+      rep,
+      { line: 0, char: 6 },
+      { line: 1, char: 1 },
+    );
+    assert.deepEqual(range.end, { line: 1, char: 1 });
+    assert.equal(range.linewise, false);
+  });
+
+  it("moves an end in column 0 back to the previous line end", () => {
+    const range = exclusiveRange(
+      rep,
+      { line: 0, char: 6 },
+      { line: 1, char: 0 },
+    );
+    assert.deepEqual(range.end, { line: 0, char: 9 });
+    assert.equal(range.linewise, false);
+  });
+
+  it("becomes linewise from at or before the first non-blank", () => {
+    const range = exclusiveRange(
+      rep,
+      { line: 0, char: 2 },
+      { line: 1, char: 0 },
+    );
+    assert.equal(range.linewise, true);
+  });
+});
+
+describe("wordMotionRange", () => {
+  it("dw does not join lines on the last word", () => {
+    const rep = makeRep(["foo bar", "baz"]);
+    assert.deepEqual(wordMotionRange("w", rep, 0, 4, 1), {
+      start: { line: 0, char: 4 },
+      end: { line: 0, char: 7 },
+      linewise: false,
+    });
+  });
+
+  it("w with count spans lines", () => {
+    const rep = makeRep(["foo bar", "baz qux"]);
+    const range = wordMotionRange("w", rep, 0, 4, 2);
+    assert.deepEqual(range.end, { line: 1, char: 4 });
+  });
+
+  it("cw changes to the end of the word", () => {
+    const rep = makeRep(["foo bar"]);
+    const range = wordMotionRange("w", rep, 0, 0, 1, true);
+    assert.deepEqual(range.end, { line: 0, char: 3 });
+  });
+
+  it("cw on the last letter of a word changes only that letter", () => {
+    const rep = makeRep(["foo bar"]);
+    const range = wordMotionRange("w", rep, 0, 2, 1, true);
+    assert.deepEqual(range.end, { line: 0, char: 3 });
+  });
+
+  it("e is inclusive", () => {
+    const rep = makeRep(["foo", "bar"]);
+    const range = wordMotionRange("e", rep, 0, 2, 1);
+    assert.deepEqual(range.end, { line: 1, char: 3 });
+  });
+
+  it("db from column 0 becomes linewise", () => {
+    const rep = makeRep(["foo", "bar"]);
+    assert.equal(wordMotionRange("b", rep, 1, 0, 1).linewise, true);
+  });
+
+  it("ge covers back to the end of the previous word", () => {
+    const rep = makeRep(["foo bar"]);
+    const range = wordMotionRange("ge", rep, 0, 5, 1);
+    assert.deepEqual(range.start, { line: 0, char: 2 });
+    assert.deepEqual(range.end, { line: 0, char: 6 });
+  });
+
+  it("returns null when the motion cannot move", () => {
+    const rep = makeRep(["foo"]);
+    assert.equal(wordMotionRange("b", rep, 0, 0, 1), null);
   });
 });
 
@@ -266,21 +558,6 @@ describe("charSearchPos", () => {
 });
 
 describe("motionRange", () => {
-  it("w computes word-forward range", () => {
-    const range = motionRange("w", 0, "hello world", 1);
-    assert.deepEqual(range, { start: 0, end: 6 });
-  });
-
-  it("e computes word-end range (inclusive)", () => {
-    const range = motionRange("e", 0, "hello world", 1);
-    assert.deepEqual(range, { start: 0, end: 5 });
-  });
-
-  it("b computes word-backward range", () => {
-    const range = motionRange("b", 6, "hello world", 1);
-    assert.deepEqual(range, { start: 0, end: 6 });
-  });
-
   it("$ computes to end of line", () => {
     const range = motionRange("$", 3, "hello world", 1);
     assert.deepEqual(range, { start: 3, end: 11 });
@@ -324,11 +601,6 @@ describe("motionRange", () => {
   it("returns null for unknown motion key", () => {
     assert.equal(motionRange("z", 0, "hello", 1), null);
   });
-
-  it("w with count moves multiple words", () => {
-    const range = motionRange("w", 0, "one two three", 2);
-    assert.deepEqual(range, { start: 0, end: 8 });
-  });
 });
 
 describe("charMotionRange", () => {
@@ -439,6 +711,37 @@ describe("innerWordRange", () => {
   it("selects a single-char line", () => {
     assert.deepEqual(textWordRange("x", 0, "i"), { start: 0, end: 1 });
   });
+
+  it("selects a WORD across punctuation", () => {
+    assert.deepEqual(textWordRange("x foo.bar() y", 4, "i", true), {
+      start: 2,
+      end: 11,
+    });
+  });
+});
+
+describe("aroundWordRange", () => {
+  it("includes trailing whitespace", () => {
+    assert.deepEqual(textWordRange("foo bar", 1, "a"), { start: 0, end: 4 });
+  });
+
+  it("includes leading whitespace at the end of a line", () => {
+    assert.deepEqual(textWordRange("foo bar", 5, "a"), { start: 3, end: 7 });
+  });
+
+  it("includes the word after whitespace", () => {
+    assert.deepEqual(textWordRange("foo   bar x", 4, "a"), {
+      start: 3,
+      end: 9,
+    });
+  });
+
+  it("takes a whole WORD with its whitespace", () => {
+    assert.deepEqual(textWordRange("a/b/c now", 2, "a", true), {
+      start: 0,
+      end: 6,
+    });
+  });
 });
 
 describe("textQuoteRange", () => {
@@ -488,78 +791,148 @@ describe("textQuoteRange", () => {
       end: 5,
     });
   });
-});
 
-describe("textBracketRange", () => {
-  it("selects content inside parentheses", () => {
-    assert.deepEqual(textBracketRange("foo(bar)baz", 5, "(", "i"), {
-      start: 4,
-      end: 7,
+  it("pairs quotes from the start of the line when on a quote", () => {
+    assert.deepEqual(textQuoteRange('"a" x "b"', 6, '"', "i"), {
+      start: 7,
+      end: 8,
     });
   });
 
-  it("works with closing bracket as argument", () => {
-    assert.deepEqual(textBracketRange("foo(bar)baz", 5, ")", "i"), {
-      start: 4,
-      end: 7,
+  it("uses the nearest quote before the cursor", () => {
+    assert.deepEqual(textQuoteRange('"a" x "b"', 4, '"', "i"), {
+      start: 3,
+      end: 6,
     });
   });
 
-  it("selects content inside curly braces", () => {
-    assert.deepEqual(textBracketRange("if {yes} no", 5, "{", "i"), {
-      start: 4,
-      end: 7,
+  it("uses the next quotes when the cursor is before them", () => {
+    assert.deepEqual(textQuoteRange('x "ab"', 0, '"', "i"), {
+      start: 3,
+      end: 5,
     });
   });
 
-  it("selects content inside square brackets", () => {
-    assert.deepEqual(textBracketRange("a[bc]d", 2, "[", "i"), {
-      start: 2,
-      end: 4,
+  it("skips escaped quotes", () => {
+    assert.deepEqual(textQuoteRange('"a\\"b" c', 1, '"', "i"), {
+      start: 1,
+      end: 5,
     });
   });
 
-  it("handles nested brackets", () => {
-    assert.deepEqual(textBracketRange("(a(b)c)", 3, "(", "i"), {
+  it("works with backticks", () => {
+    assert.deepEqual(textQuoteRange("x `ab` y", 3, "`", "i"), {
       start: 3,
-      end: 4,
+      end: 5,
     });
   });
 
-  it("handles nested brackets from outer position", () => {
-    assert.deepEqual(textBracketRange("(a(b)c)", 1, "(", "i"), {
+  it("includes trailing whitespace for a", () => {
+    assert.deepEqual(textQuoteRange('x "ab" y', 3, '"', "a"), {
+      start: 2,
+      end: 7,
+    });
+  });
+
+  it("includes leading whitespace for a without trailing", () => {
+    assert.deepEqual(textQuoteRange('x "ab"', 3, '"', "a"), {
       start: 1,
       end: 6,
     });
   });
+});
+
+describe("textBracketRange", () => {
+  const range = (startLine, startChar, endLine, endChar, linewise = false) => ({
+    startLine,
+    startChar,
+    endLine,
+    endChar,
+    linewise,
+  });
+  const inner = (lines, line, char, bracket, count) =>
+    textBracketRange(makeRep(lines), line, char, bracket, "i", count);
+
+  it("selects content inside parentheses", () => {
+    assert.deepEqual(inner(["foo(bar)baz"], 0, 5, "("), range(0, 4, 0, 7));
+  });
+
+  it("works with closing bracket as argument", () => {
+    assert.deepEqual(inner(["foo(bar)baz"], 0, 5, ")"), range(0, 4, 0, 7));
+  });
+
+  it("selects content inside curly braces", () => {
+    assert.deepEqual(inner(["if {yes} no"], 0, 5, "{"), range(0, 4, 0, 7));
+  });
+
+  it("selects content inside square brackets", () => {
+    assert.deepEqual(inner(["a[bc]d"], 0, 2, "["), range(0, 2, 0, 4));
+  });
+
+  it("selects content inside angle brackets", () => {
+    assert.deepEqual(inner(["<a b>"], 0, 2, ">"), range(0, 1, 0, 4));
+  });
+
+  it("handles nested brackets", () => {
+    assert.deepEqual(inner(["(a(b)c)"], 0, 3, "("), range(0, 3, 0, 4));
+  });
+
+  it("handles nested brackets from outer position", () => {
+    assert.deepEqual(inner(["(a(b)c)"], 0, 1, "("), range(0, 1, 0, 6));
+  });
+
+  it("selects an outer level with a count", () => {
+    assert.deepEqual(inner(["(a(b)c)"], 0, 3, "(", 2), range(0, 1, 0, 6));
+  });
+
+  it("returns null when the count exceeds the nesting", () => {
+    assert.equal(inner(["(a(b)c)"], 0, 3, "(", 3), null);
+  });
 
   it("returns null when no matching brackets", () => {
-    assert.equal(textBracketRange("no brackets", 3, "(", "i"), null);
+    assert.equal(inner(["no brackets"], 0, 3, "("), null);
   });
 
   it("returns null when cursor is outside brackets", () => {
-    assert.equal(textBracketRange("x (foo) y", 0, "(", "i"), null);
+    assert.equal(inner(["x (foo) y"], 0, 0, "("), null);
   });
 
   it("selects empty content between adjacent brackets", () => {
-    assert.deepEqual(textBracketRange("foo()bar", 4, "(", "i"), {
-      start: 4,
-      end: 4,
-    });
+    assert.deepEqual(inner(["foo()bar"], 0, 4, "("), range(0, 4, 0, 4));
   });
 
   it("works when cursor is on the opening bracket", () => {
-    assert.deepEqual(textBracketRange("(hello)", 0, "(", "i"), {
-      start: 1,
-      end: 6,
-    });
+    assert.deepEqual(inner(["(hello)"], 0, 0, "("), range(0, 1, 0, 6));
   });
 
   it("works when cursor is on the closing bracket", () => {
-    assert.deepEqual(textBracketRange("(hello)", 6, ")", "i"), {
-      start: 1,
-      end: 6,
-    });
+    assert.deepEqual(inner(["(hello)"], 0, 6, ")"), range(0, 1, 0, 6));
+  });
+
+  it("finds brackets on other lines", () => {
+    assert.deepEqual(inner(["f(a,", "  b)"], 1, 2, "("), range(0, 2, 1, 3));
+  });
+
+  it("is linewise when the brackets sit on lines of their own", () => {
+    assert.deepEqual(
+      inner(["x {", "  a", "  b", "}"], 1, 2, "{"),
+      range(1, 0, 2, 3, true),
+    );
+  });
+
+  it("leaves out the indent before a closing bracket", () => {
+    assert.deepEqual(inner(["(foo", "  )"], 0, 2, "("), range(0, 1, 0, 4));
+  });
+
+  it("selects nothing between brackets on consecutive lines", () => {
+    assert.deepEqual(inner(["{", "}"], 0, 0, "{"), range(1, 0, 1, 0));
+  });
+
+  it("includes the brackets for a", () => {
+    assert.deepEqual(
+      textBracketRange(makeRep(["x {", "  a", "} y"]), 1, 0, "}", "a"),
+      { startLine: 0, startChar: 2, endLine: 2, endChar: 1 },
+    );
   });
 });
 
@@ -674,3 +1047,1340 @@ describe("paragraphBackward", () => {
     assert.equal(paragraphBackward(rep, 5, 1), 2);
   });
 });
+
+describe("indentTextRange", () => {
+  const rep = makeRep(["if x {", "  a", "", "  b", "}", "z"]);
+  const lines = (startLine, endLine) => ({
+    startLine,
+    startChar: 0,
+    endLine,
+    endChar: rep.lines.atIndex(endLine).text.length,
+    linewise: true,
+  });
+
+  it("selects lines indented at least as far as the cursor line", () => {
+    assert.deepEqual(indentTextRange(rep, 1, "i"), lines(1, 3));
+  });
+
+  it("adds the lines above and below for a", () => {
+    assert.deepEqual(indentTextRange(rep, 3, "a"), lines(0, 4));
+  });
+
+  it("uses the next non-blank line from a blank line", () => {
+    assert.deepEqual(indentTextRange(rep, 2, "i"), lines(1, 3));
+  });
+
+  it("takes the whole pad at the outermost level", () => {
+    assert.deepEqual(indentTextRange(rep, 5, "i"), lines(0, 5));
+  });
+
+  it("skips blank lines when reaching out for a", () => {
+    const spaced = makeRep(["def f():", "", "    a", "", "b"]);
+    assert.deepEqual(indentTextRange(spaced, 2, "a"), {
+      startLine: 0,
+      startChar: 0,
+      endLine: 4,
+      endChar: 1,
+      linewise: true,
+    });
+  });
+
+  it("returns null in a blank pad", () => {
+    assert.equal(indentTextRange(makeRep(["", "  "]), 0, "i"), null);
+  });
+});
+
+describe("entireTextRange", () => {
+  const rep = makeRep(["", "a", "bc", "  ", ""]);
+
+  it("selects the whole pad for a", () => {
+    assert.deepEqual(entireTextRange(rep, "a"), {
+      startLine: 0,
+      startChar: 0,
+      endLine: 4,
+      endChar: 0,
+      linewise: true,
+    });
+  });
+
+  it("leaves out leading and trailing blank lines for i", () => {
+    assert.deepEqual(entireTextRange(rep, "i"), {
+      startLine: 1,
+      startChar: 0,
+      endLine: 2,
+      endChar: 2,
+      linewise: true,
+    });
+  });
+
+  it("returns null for i in a blank pad", () => {
+    assert.equal(entireTextRange(makeRep(["", " "]), "i"), null);
+  });
+});
+
+describe("orderPositions", () => {
+  it("keeps positions already in order", () => {
+    assert.deepEqual(orderPositions([0, 2], [1, 0]), [
+      [0, 2],
+      [1, 0],
+    ]);
+  });
+
+  it("swaps positions that are reversed", () => {
+    assert.deepEqual(orderPositions([2, 1], [2, 0]), [
+      [2, 0],
+      [2, 1],
+    ]);
+  });
+});
+
+describe("changeCase", () => {
+  it("lowercases", () => {
+    assert.equal(changeCase("Hello World", "lower"), "hello world");
+  });
+
+  it("uppercases", () => {
+    assert.equal(changeCase("Hello World", "upper"), "HELLO WORLD");
+  });
+
+  it("toggles each character", () => {
+    assert.equal(changeCase("Hello, World", "toggle"), "hELLO, wORLD");
+  });
+});
+
+describe("indentWidth", () => {
+  it("counts leading spaces", () => {
+    assert.equal(indentWidth("   x"), 3);
+  });
+
+  it("advances tabs to the next multiple of 8", () => {
+    assert.equal(indentWidth("\tx"), 8);
+    assert.equal(indentWidth("  \tx"), 8);
+    assert.equal(indentWidth("\t  x"), 10);
+  });
+
+  it("is 0 for an unindented line", () => {
+    assert.equal(indentWidth("x  "), 0);
+  });
+});
+
+describe("shiftLine", () => {
+  it("adds shiftWidth columns per step", () => {
+    assert.equal(shiftLine("x", 1, 4), "    x");
+    assert.equal(shiftLine("  x", 2, 2), "      x");
+  });
+
+  it("removes shiftWidth columns per step", () => {
+    assert.equal(shiftLine("      x", -1, 4), "  x");
+  });
+
+  it("stops at column 0", () => {
+    assert.equal(shiftLine("  x", -1, 4), "x");
+  });
+
+  it("rewrites tabs as spaces", () => {
+    assert.equal(shiftLine("\tx", -1, 4), "    x");
+  });
+
+  it("leaves blank lines alone", () => {
+    assert.equal(shiftLine("", 1, 4), "");
+    assert.equal(shiftLine("  ", 1, 4), "  ");
+  });
+});
+
+describe("reindentLines", () => {
+  it("indents one level per open bracket", () => {
+    assert.deepEqual(
+      reindentLines(["f() {", "if (a) {", "b;", "}", "}"], null, 2),
+      ["f() {", "  if (a) {", "    b;", "  }", "}"],
+    );
+  });
+
+  it("starts from the line above", () => {
+    assert.deepEqual(reindentLines(["x", "y"], "  if (a) {", 4), [
+      "      x",
+      "      y",
+    ]);
+    assert.deepEqual(reindentLines(["x"], "  y;", 4), ["  x"]);
+  });
+
+  it("dedents lines starting with a closing bracket", () => {
+    assert.deepEqual(reindentLines(["a,", "]);"], "  foo([", 2), [
+      "    a,",
+      "  ]);",
+    ]);
+  });
+
+  it("indents once for brackets opened on the same line", () => {
+    assert.deepEqual(reindentLines(["foo({", "a", "});"], null, 2), [
+      "foo({",
+      "  a",
+      "});",
+    ]);
+  });
+
+  it("empties blank lines", () => {
+    assert.deepEqual(reindentLines(["{", "   ", "x", "}"], null, 4), [
+      "{",
+      "",
+      "    x",
+      "}",
+    ]);
+  });
+});
+
+describe("formatLines", () => {
+  it("joins and rewraps a paragraph to the width", () => {
+    assert.deepEqual(formatLines(["aaa bbb", "ccc", "ddd eee fff"], 8), [
+      "aaa bbb",
+      "ccc ddd",
+      "eee fff",
+    ]);
+  });
+
+  it("keeps blank lines between paragraphs", () => {
+    assert.deepEqual(formatLines(["a", "b", "", "c", "d"], 79), [
+      "a b",
+      "",
+      "c d",
+    ]);
+  });
+
+  it("keeps the indent on continuation lines", () => {
+    assert.deepEqual(formatLines(["  one two three"], 10), [
+      "  one two",
+      "  three",
+    ]);
+  });
+
+  it("hangs list items under their text", () => {
+    assert.deepEqual(formatLines(["- one two three", "1. four five six"], 9), [
+      "- one two",
+      "  three",
+      "1. four",
+      "   five",
+      "   six",
+    ]);
+  });
+
+  it("joins a list item with its continuation lines", () => {
+    assert.deepEqual(formatLines(["* one", "  two"], 79), ["* one two"]);
+  });
+
+  it("repeats quote markers", () => {
+    assert.deepEqual(formatLines(["> a b c", "> d"], 5), ["> a b", "> c d"]);
+  });
+
+  it("starts a new paragraph when the quote prefix changes", () => {
+    assert.deepEqual(formatLines(["> a", "b"], 79), ["> a", "b"]);
+  });
+
+  it("puts a word longer than the width on a line of its own", () => {
+    assert.deepEqual(formatLines(["a verylongword b"], 5), [
+      "a",
+      "verylongword",
+      "b",
+    ]);
+  });
+});
+
+describe("formattedPosition", () => {
+  const lines = ["aaa bbb", "ccc", "ddd eee"];
+  const formatted = ["aaa bbb ccc", "ddd eee"];
+
+  it("keeps the cursor on the same character", () => {
+    assert.deepEqual(formattedPosition(lines, formatted, 1, 1), [0, 9]);
+    assert.deepEqual(formattedPosition(lines, formatted, 2, 5), [1, 5]);
+  });
+
+  it("moves off whitespace to the next word", () => {
+    assert.deepEqual(formattedPosition(lines, formatted, 0, 3), [0, 4]);
+  });
+
+  it("follows words past repeated quote markers", () => {
+    assert.deepEqual(
+      formattedPosition(["> aa bb cc"], ["> aa bb", "> cc"], 0, 9),
+      [1, 3],
+    );
+  });
+
+  it("goes to the end after the last word", () => {
+    assert.deepEqual(formattedPosition(["aa  "], ["aa"], 0, 3), [0, 2]);
+  });
+});
+
+describe("findNumber", () => {
+  it("finds the number under the cursor", () => {
+    assert.deepEqual(findNumber("ab 123 cd", 4), {
+      start: 3,
+      end: 6,
+      hex: false,
+    });
+  });
+
+  it("finds the next number after the cursor", () => {
+    assert.deepEqual(findNumber("ab 1 cd 22", 5), {
+      start: 8,
+      end: 10,
+      hex: false,
+    });
+  });
+
+  it("includes a minus sign before the digits", () => {
+    assert.deepEqual(findNumber("x -5", 0), { start: 2, end: 4, hex: false });
+  });
+
+  it("finds a hex number with the cursor on its prefix", () => {
+    assert.deepEqual(findNumber("0x1f", 1), { start: 0, end: 4, hex: true });
+  });
+
+  it("returns null when no number follows the cursor", () => {
+    assert.equal(findNumber("12 ab", 3), null);
+  });
+});
+
+describe("incrementNumber", () => {
+  it("adds to the number and returns its last column", () => {
+    assert.deepEqual(incrementNumber("x 9 y", 0, 1), {
+      text: "x 10 y",
+      char: 3,
+    });
+  });
+
+  it("subtracts past zero", () => {
+    assert.deepEqual(incrementNumber("9", 0, -10), { text: "-1", char: 1 });
+    assert.deepEqual(incrementNumber("-5", 0, 10), { text: "5", char: 0 });
+  });
+
+  it("keeps the width of numbers with leading zeros", () => {
+    assert.equal(incrementNumber("007", 0, 1).text, "008");
+    assert.equal(incrementNumber("007", 0, -8).text, "-001");
+    assert.equal(incrementNumber("099", 0, 1).text, "100");
+  });
+
+  it("increments hex numbers, keeping width and case", () => {
+    assert.equal(incrementNumber("0x0f", 0, 1).text, "0x10");
+    assert.equal(incrementNumber("0x0E", 0, 1).text, "0x0F");
+    assert.equal(incrementNumber("0xff", 0, 1).text, "0x100");
+  });
+
+  it("wraps hex numbers as unsigned", () => {
+    assert.equal(incrementNumber("0x0", 0, -1).text, "0xffffffffffffffff");
+  });
+
+  it("handles numbers beyond double precision", () => {
+    assert.equal(
+      incrementNumber("9007199254740993", 0, 1).text,
+      "9007199254740994",
+    );
+  });
+
+  it("returns null without a number", () => {
+    assert.equal(incrementNumber("abc", 0, 1), null);
+  });
+});
+
+describe("escapeRegex", () => {
+  it("escapes regex metacharacters", () => {
+    assert.equal(escapeRegex("a.b*c"), "a\\.b\\*c");
+  });
+});
+
+describe("compileSearch", () => {
+  it("returns a global regex", () => {
+    assert.equal(compileSearch("fo+").global, true);
+  });
+
+  it("translates vim word boundaries", () => {
+    assert.equal(compileSearch("\\<foo\\>").source, "\\bfoo\\b");
+  });
+
+  it("returns null for an invalid pattern", () => {
+    assert.equal(compileSearch("(foo"), null);
+  });
+
+  it("adds the ignore-case flag when asked", () => {
+    assert.equal(compileSearch("foo", true).ignoreCase, true);
+  });
+});
+
+describe("lineMatches", () => {
+  it("finds every match on the line", () => {
+    assert.deepEqual(lineMatches("foo bar foo", /foo/g), [
+      { start: 0, end: 3 },
+      { start: 8, end: 11 },
+    ]);
+  });
+
+  it("does not loop on empty matches", () => {
+    assert.equal(lineMatches("ab", /x*/g).length, 3);
+  });
+});
+
+describe("searchForward", () => {
+  const rep = makeRep(["a foo", "bar", "foo foo"]);
+
+  it("finds the next match after the cursor", () => {
+    assert.deepEqual(searchForward(rep, /foo/g, 0, 2, 1), {
+      line: 2,
+      char: 0,
+      wrapped: false,
+    });
+  });
+
+  it("respects count", () => {
+    assert.deepEqual(searchForward(rep, /foo/g, 0, 0, 3), {
+      line: 2,
+      char: 4,
+      wrapped: false,
+    });
+  });
+
+  it("wraps around to the top", () => {
+    assert.deepEqual(searchForward(rep, /foo/g, 2, 4, 1), {
+      line: 0,
+      char: 2,
+      wrapped: true,
+    });
+  });
+
+  it("returns null when nothing matches", () => {
+    assert.equal(searchForward(rep, /baz/g, 0, 0, 1), null);
+  });
+});
+
+describe("searchBackward", () => {
+  const rep = makeRep(["a foo", "bar", "foo foo"]);
+
+  it("finds the previous match before the cursor", () => {
+    assert.deepEqual(searchBackward(rep, /foo/g, 2, 4, 1), {
+      line: 2,
+      char: 0,
+      wrapped: false,
+    });
+  });
+
+  it("wraps around to the bottom", () => {
+    assert.deepEqual(searchBackward(rep, /foo/g, 0, 2, 1), {
+      line: 2,
+      char: 4,
+      wrapped: true,
+    });
+  });
+});
+
+describe("wordUnderCursor", () => {
+  it("returns the word under the cursor", () => {
+    assert.deepEqual(wordUnderCursor("foo bar", 5), { start: 4, word: "bar" });
+  });
+
+  it("uses the next word when the cursor is not on one", () => {
+    assert.deepEqual(wordUnderCursor("  (bar)", 0), { start: 3, word: "bar" });
+  });
+
+  it("returns null when no word follows the cursor", () => {
+    assert.equal(wordUnderCursor("foo ...", 4), null);
+  });
+});
+
+describe("getLines", () => {
+  it("returns the text of each line in the range", () => {
+    const rep = makeRep(["a", "b", "c"]);
+    assert.deepEqual(getLines(rep, 1, 2), ["b", "c"]);
+  });
+});
+
+describe("parseExAddress", () => {
+  const ctx = { line: 4, lastLine: 9, marks: { a: 2 } };
+
+  it("parses a line number as zero-based", () => {
+    assert.deepEqual(parseExAddress("3", 0, ctx), { line: 2, pos: 1 });
+  });
+
+  it("parses . and $", () => {
+    assert.equal(parseExAddress(".", 0, ctx).line, 4);
+    assert.equal(parseExAddress("$", 0, ctx).line, 9);
+  });
+
+  it("parses marks", () => {
+    assert.deepEqual(parseExAddress("'a", 0, ctx), { line: 2, pos: 2 });
+  });
+
+  it("reports unset marks", () => {
+    assert.deepEqual(parseExAddress("'b", 0, ctx), {
+      error: "E20: Mark not set",
+    });
+  });
+
+  it("applies offsets relative to the current line", () => {
+    assert.equal(parseExAddress("+2", 0, ctx).line, 6);
+    assert.equal(parseExAddress("-", 0, ctx).line, 3);
+    assert.equal(parseExAddress("$-1", 0, ctx).line, 8);
+  });
+
+  it("returns null when there is no address", () => {
+    assert.equal(parseExAddress("d", 0, ctx), null);
+  });
+});
+
+describe("parseExRange", () => {
+  const ctx = { line: 4, lastLine: 9, marks: { a: 1, b: 3 } };
+
+  it("parses a pair of line numbers", () => {
+    assert.deepEqual(parseExRange("3,8d", ctx), {
+      start: 2,
+      end: 7,
+      rest: "d",
+    });
+  });
+
+  it("parses % as the whole pad", () => {
+    assert.deepEqual(parseExRange("%y", ctx), { start: 0, end: 9, rest: "y" });
+  });
+
+  it("parses mark ranges", () => {
+    assert.deepEqual(parseExRange("'a,'bd", ctx), {
+      start: 1,
+      end: 3,
+      rest: "d",
+    });
+  });
+
+  it("parses relative ranges", () => {
+    assert.deepEqual(parseExRange(".,+5j", ctx), {
+      start: 4,
+      end: 9,
+      rest: "j",
+    });
+  });
+
+  it("returns a null range when none is given", () => {
+    assert.deepEqual(parseExRange("join", ctx), {
+      start: null,
+      end: null,
+      rest: "join",
+    });
+  });
+
+  it("swaps a backwards range", () => {
+    assert.deepEqual(parseExRange("5,2", ctx), { start: 1, end: 4, rest: "" });
+  });
+
+  it("passes through address errors", () => {
+    assert.deepEqual(parseExRange("'z,5d", ctx), {
+      error: "E20: Mark not set",
+    });
+  });
+});
+
+describe("parseExCommand", () => {
+  it("splits name, bang and arguments", () => {
+    assert.deepEqual(parseExCommand("j! 3"), {
+      name: "j",
+      bang: true,
+      args: "3",
+    });
+  });
+
+  it("stops the name at the first non-letter", () => {
+    assert.deepEqual(parseExCommand("m0"), {
+      name: "m",
+      bang: false,
+      args: "0",
+    });
+  });
+});
+
+describe("findExCommand", () => {
+  const commands = [
+    { name: "delete", minLength: 1 },
+    { name: "copy", minLength: 2 },
+  ];
+
+  it("matches abbreviations at or above the minimum length", () => {
+    assert.equal(findExCommand(commands, "d").name, "delete");
+    assert.equal(findExCommand(commands, "del").name, "delete");
+    assert.equal(findExCommand(commands, "co").name, "copy");
+  });
+
+  it("returns null for abbreviations that are too short", () => {
+    assert.equal(findExCommand(commands, "c"), null);
+  });
+
+  it("returns null for unknown commands", () => {
+    assert.equal(findExCommand(commands, "deletex"), null);
+  });
+});
+
+describe("completeExCommand", () => {
+  it("lists command names with the given prefix", () => {
+    const commands = [
+      { name: "join", minLength: 1 },
+      { name: "delete", minLength: 1 },
+      { name: "dummy", minLength: 2 },
+    ];
+    assert.deepEqual(completeExCommand(commands, "d"), ["delete", "dummy"]);
+  });
+});
+
+describe("parseSubstitute", () => {
+  it("splits pattern, replacement and flags", () => {
+    assert.deepEqual(parseSubstitute("/foo/bar/gc"), {
+      pattern: "foo",
+      replacement: "bar",
+      flags: "gc",
+    });
+  });
+
+  it("allows the replacement and flags to be omitted", () => {
+    assert.deepEqual(parseSubstitute("/foo"), {
+      pattern: "foo",
+      replacement: "",
+      flags: "",
+    });
+  });
+
+  it("supports other delimiters and escaped delimiters", () => {
+    assert.deepEqual(parseSubstitute("#a\\#b#c#"), {
+      pattern: "a#b",
+      replacement: "c",
+      flags: "",
+    });
+  });
+
+  it("keeps other escapes for the regex", () => {
+    assert.equal(parseSubstitute("/\\d+/x/").pattern, "\\d+");
+  });
+
+  it("rejects letter delimiters", () => {
+    assert.ok(parseSubstitute("afooabara").error);
+  });
+
+  it("accepts & only as the first flag", () => {
+    assert.equal(parseSubstitute("/a/b/&gne").flags, "&gne");
+    assert.ok(parseSubstitute("/a/b/g&").error);
+  });
+
+  it("rejects unknown flags", () => {
+    assert.deepEqual(parseSubstitute("/a/b/x"), {
+      error: "E488: Trailing characters",
+    });
+  });
+});
+
+describe("expandReplacement", () => {
+  const match = ["john smith", "john", "smith"];
+
+  it("expands & to the whole match", () => {
+    assert.equal(expandReplacement("<&>", match), "<john smith>");
+  });
+
+  it("expands numbered groups", () => {
+    assert.equal(expandReplacement("\\2, \\1", match), "smith, john");
+  });
+
+  it("treats escaped characters literally", () => {
+    assert.equal(expandReplacement("\\&\\\\", match), "&\\");
+  });
+
+  it("expands \\r to a line break", () => {
+    assert.equal(expandReplacement("a\\rb", match), "a\nb");
+  });
+});
+
+describe("substituteMatches", () => {
+  it("returns only the first match without the global flag", () => {
+    assert.deepEqual(substituteMatches("a a", /a/g, "b", false), [
+      { start: 0, end: 1, text: "b" },
+    ]);
+  });
+
+  it("returns every match with the global flag", () => {
+    assert.equal(substituteMatches("a a a", /a/g, "b", true).length, 3);
+  });
+});
+
+describe("applySubstitutions", () => {
+  it("replaces each range with its text", () => {
+    const subs = [
+      { start: 0, end: 1, text: "x" },
+      { start: 4, end: 5, text: "yy" },
+    ];
+    assert.equal(applySubstitutions("a b c", subs), "x b yy");
+  });
+});
+
+describe("isRegisterName", () => {
+  it("accepts letters, digits and special registers", () => {
+    for (const name of ["a", "Z", "0", "9", '"', "-", "_", ".", "%"]) {
+      assert.equal(isRegisterName(name), true);
+    }
+  });
+
+  it("rejects other characters", () => {
+    assert.equal(isRegisterName("!"), false);
+    assert.equal(isRegisterName("Escape"), false);
+  });
+});
+
+describe("isReadOnlyRegister", () => {
+  it("is true for . and %", () => {
+    assert.equal(isReadOnlyRegister("."), true);
+    assert.equal(isReadOnlyRegister("%"), true);
+    assert.equal(isReadOnlyRegister("a"), false);
+  });
+});
+
+describe("appendRegisterValue", () => {
+  it("concatenates charwise values", () => {
+    assert.equal(appendRegisterValue("foo", "bar"), "foobar");
+  });
+
+  it("appends linewise values as lines", () => {
+    assert.deepEqual(appendRegisterValue(["a"], ["b"]), ["a", "b"]);
+  });
+
+  it("turns a charwise value linewise when mixed", () => {
+    assert.deepEqual(appendRegisterValue("a", ["b"]), ["a", "b"]);
+  });
+
+  it("returns the value when the register is empty", () => {
+    assert.equal(appendRegisterValue(undefined, "x"), "x");
+  });
+
+  it("keeps a blockwise register blockwise", () => {
+    assert.deepEqual(appendRegisterValue({ block: ["a"] }, "b"), {
+      block: ["a", "b"],
+    });
+  });
+});
+
+describe("storeRegister", () => {
+  it("stores yanks in the unnamed and 0 registers", () => {
+    const registers = {};
+    storeRegister(registers, null, "foo", "yank");
+    assert.deepEqual(registers, { '"': "foo", 0: "foo" });
+  });
+
+  it("stores small deletes in the - register", () => {
+    const registers = {};
+    storeRegister(registers, null, "x", "delete");
+    assert.deepEqual(registers, { '"': "x", "-": "x" });
+  });
+
+  it("stores blockwise deletes in the 1 register", () => {
+    const registers = {};
+    storeRegister(registers, null, { block: ["a"] }, "delete");
+    assert.deepEqual(registers["1"], { block: ["a"] });
+  });
+
+  it("shifts linewise deletes through the numbered registers", () => {
+    const registers = {};
+    storeRegister(registers, null, ["one"], "delete");
+    storeRegister(registers, null, ["two"], "delete");
+    assert.deepEqual(registers["1"], ["two"]);
+    assert.deepEqual(registers["2"], ["one"]);
+  });
+
+  it("treats multi-line charwise deletes like linewise ones", () => {
+    const registers = {};
+    storeRegister(registers, null, "a\nb", "delete");
+    assert.equal(registers["1"], "a\nb");
+    assert.equal(registers["-"], undefined);
+  });
+
+  it("stores named registers without touching 0 or 1", () => {
+    const registers = {};
+    storeRegister(registers, "a", ["x"], "delete");
+    assert.deepEqual(registers, { '"': ["x"], a: ["x"] });
+  });
+
+  it("appends for uppercase names", () => {
+    const registers = { a: "foo" };
+    storeRegister(registers, "A", "bar", "yank");
+    assert.equal(registers.a, "foobar");
+    assert.equal(registers['"'], "foobar");
+  });
+
+  it("ignores the black hole and read-only registers", () => {
+    const registers = {};
+    storeRegister(registers, "_", "x", "delete");
+    storeRegister(registers, ".", "x", "yank");
+    assert.deepEqual(registers, {});
+  });
+});
+
+describe("encodeKeys", () => {
+  it("keeps printable keys as they are", () => {
+    assert.equal(encodeKeys(["d", "w", " "]), "dw ");
+  });
+
+  it("writes special keys in angle-bracket notation", () => {
+    assert.equal(encodeKeys(["i", "x", "Escape", "Enter"]), "ix<Esc><CR>");
+  });
+
+  it("escapes a literal <", () => {
+    assert.equal(encodeKeys(["<"]), "<lt>");
+  });
+
+  it("keeps ctrl keys in notation", () => {
+    assert.equal(encodeKeys(["<C-r>"]), "<C-r>");
+  });
+});
+
+describe("parseKeyNotation", () => {
+  it("splits plain text into single keys", () => {
+    assert.deepEqual(parseKeyNotation("dw"), ["d", "w"]);
+  });
+
+  it("parses special keys case-insensitively", () => {
+    assert.deepEqual(parseKeyNotation("ix<esc><CR>"), [
+      "i",
+      "x",
+      "Escape",
+      "Enter",
+    ]);
+  });
+
+  it("parses ctrl keys", () => {
+    assert.deepEqual(parseKeyNotation("<C-R>"), ["<C-r>"]);
+  });
+
+  it("expands <leader> to the leader keys", () => {
+    assert.deepEqual(parseKeyNotation("<leader>w"), ["\\", "w"]);
+    assert.deepEqual(parseKeyNotation("<Leader>w", [" "]), [" ", "w"]);
+  });
+
+  it("treats unknown notation literally", () => {
+    assert.deepEqual(parseKeyNotation("<x>"), ["<", "x", ">"]);
+  });
+
+  it("round-trips with encodeKeys", () => {
+    const keys = ["a", "<", "Backspace", "Escape", "<C-w>"];
+    assert.deepEqual(parseKeyNotation(encodeKeys(keys)), keys);
+  });
+
+  it("turns newlines into Enter", () => {
+    assert.deepEqual(parseKeyNotation("j\n"), ["j", "Enter"]);
+  });
+});
+
+describe("getVisualBlock", () => {
+  const rep = makeRep(["abcdef", "ab", "abcdefgh"]);
+
+  it("covers the rectangle between anchor and cursor inclusively", () => {
+    const block = getVisualBlock([0, 3], [2, 1], rep, false);
+    assert.equal(block.top, 0);
+    assert.equal(block.bottom, 2);
+    assert.equal(block.left, 1);
+    assert.equal(block.right, 4);
+    assert.deepEqual(block.segments, [
+      { line: 0, start: 1, end: 4 },
+      { line: 1, start: 1, end: 2 },
+      { line: 2, start: 1, end: 4 },
+    ]);
+  });
+
+  it("gives lines short of the block an empty segment", () => {
+    const block = getVisualBlock([0, 3], [2, 4], rep, false);
+    assert.deepEqual(block.segments[1], { line: 1, start: 2, end: 2 });
+  });
+
+  it("extends every line to its end with toEol", () => {
+    const block = getVisualBlock([0, 1], [2, 1], rep, true);
+    assert.deepEqual(
+      block.segments.map((segment) => segment.end),
+      [6, 2, 8],
+    );
+  });
+});
+
+describe("blockPutLine", () => {
+  it("pads the block when text follows it", () => {
+    assert.equal(blockPutLine("abcd", 1, "x", 3), "ax  bcd");
+  });
+
+  it("does not pad at the end of the line", () => {
+    assert.equal(blockPutLine("ab", 2, "x", 3), "abx");
+  });
+
+  it("pads a short line out to the column", () => {
+    assert.equal(blockPutLine("a", 3, "x", 1), "a  x");
+  });
+});
+
+describe("registerText", () => {
+  it("returns charwise values unchanged", () => {
+    assert.equal(registerText("foo"), "foo");
+  });
+
+  it("ends linewise values with a newline", () => {
+    assert.equal(registerText(["a", "b"]), "a\nb\n");
+  });
+
+  it("joins blockwise values without a trailing newline", () => {
+    assert.equal(registerText({ block: ["a", "b"] }), "a\nb");
+  });
+});
+
+describe("changesetSplice", () => {
+  it("returns null for a change of attributes only", () => {
+    assert.equal(changesetSplice("Z:8>0*0=3$"), null);
+  });
+
+  it("describes an edit within one line", () => {
+    assert.deepEqual(changesetSplice("Z:8>1|1=2=1+1$X"), {
+      start: 1,
+      char: 1,
+      removed: 0,
+      inserted: 0,
+    });
+  });
+
+  it("describes inserted lines", () => {
+    assert.deepEqual(changesetSplice("Z:4>4|1=2|2+4$x\ny\n"), {
+      start: 1,
+      char: 0,
+      removed: 0,
+      inserted: 2,
+    });
+  });
+
+  it("describes deleted lines", () => {
+    assert.deepEqual(changesetSplice("Z:8<4|1=2|2-4$"), {
+      start: 1,
+      char: 0,
+      removed: 2,
+      inserted: 0,
+    });
+  });
+
+  it("covers separate changes with one splice", () => {
+    assert.deepEqual(changesetSplice("Z:c>0|1=2-1+1|2=4=1-1+1$XY"), {
+      start: 1,
+      char: 0,
+      removed: 2,
+      inserted: 2,
+    });
+  });
+});
+
+describe("textSplice", () => {
+  it("returns null when nothing changed", () => {
+    assert.equal(textSplice("ab\ncd\n", "ab\ncd\n"), null);
+  });
+
+  it("describes an edit within one line", () => {
+    assert.deepEqual(textSplice("ab\ncd\n", "ab\ncXd\n"), {
+      start: 1,
+      char: 1,
+      removed: 0,
+      inserted: 0,
+    });
+  });
+
+  it("describes inserted and deleted lines", () => {
+    assert.deepEqual(textSplice("ab\ncd\n", "ab\nx\ny\ncd\n"), {
+      start: 1,
+      char: 0,
+      removed: 0,
+      inserted: 2,
+    });
+    assert.deepEqual(textSplice("ab\ncd\nef\n", "ab\nef\n"), {
+      start: 1,
+      char: 0,
+      removed: 1,
+      inserted: 0,
+    });
+  });
+
+  it("covers separate changes with one splice", () => {
+    assert.deepEqual(textSplice("a\nb\nc\n", "X\nb\nY\n"), {
+      start: 0,
+      char: 0,
+      removed: 2,
+      inserted: 2,
+    });
+  });
+});
+
+describe("adjustPosition", () => {
+  const splice = { start: 2, char: 0, removed: 1, inserted: 3 };
+
+  it("keeps positions above the splice", () => {
+    assert.deepEqual(adjustPosition([1, 4], splice), [1, 4]);
+  });
+
+  it("shifts positions below the splice", () => {
+    assert.deepEqual(adjustPosition([5, 4], splice), [7, 4]);
+  });
+
+  it("keeps positions on lines that were replaced", () => {
+    assert.deepEqual(adjustPosition([2, 4], splice), [2, 4]);
+  });
+
+  it("keeps positions before the change on its first line", () => {
+    const join = { start: 3, char: 5, removed: 1, inserted: 0 };
+    assert.deepEqual(adjustPosition([3, 2], join), [3, 2]);
+    assert.deepEqual(adjustPosition([4, 2], join), [3, 2]);
+  });
+
+  it("shifts a line that lines are inserted at the start of", () => {
+    const insertion = { start: 0, char: 0, removed: 0, inserted: 2 };
+    assert.deepEqual(adjustPosition([0, 3], insertion), [2, 3]);
+  });
+
+  it("moves positions on deleted lines after the splice", () => {
+    const deletion = { start: 2, char: 0, removed: 3, inserted: 1 };
+    assert.deepEqual(adjustPosition([3, 4], deletion), [3, 0]);
+    assert.deepEqual(adjustPosition([6, 4], deletion), [4, 4]);
+  });
+});
+
+describe("virtualReplaceEnd", () => {
+  afterEach(resetOptions);
+
+  it("overwrites one character", () => {
+    assert.equal(virtualReplaceEnd("abc", 1, "x"), 2);
+  });
+
+  it("overwrites nothing at the end of the line", () => {
+    assert.equal(virtualReplaceEnd("abc", 3, "x"), 3);
+  });
+
+  it("goes in before a tab wider than one cell", () => {
+    assert.equal(virtualReplaceEnd("a\tb", 1, "x"), 1);
+  });
+
+  it("overwrites a tab once typing reaches its tab stop", () => {
+    assert.equal(virtualReplaceEnd("abcdefg\tb", 7, "x"), 8);
+    setOption("ts=4");
+    assert.equal(virtualReplaceEnd("abc\tb", 3, "x"), 4);
+  });
+
+  it("lets a typed tab overwrite up to the next tab stop", () => {
+    assert.equal(virtualReplaceEnd("abcdefghij", 2, "\t"), 8);
+    assert.equal(virtualReplaceEnd("ab\tc", 0, "\t"), 3);
+  });
+});
+
+describe("shiftIndentLevel", () => {
+  it("indents to the next multiple of the shift width", () => {
+    assert.equal(shiftIndentLevel("  foo", 1, 4), "    foo");
+    assert.equal(shiftIndentLevel("    foo", 1, 4), "        foo");
+  });
+
+  it("unindents to the previous multiple of the shift width", () => {
+    assert.equal(shiftIndentLevel("      foo", -1, 4), "    foo");
+    assert.equal(shiftIndentLevel("  foo", -1, 4), "foo");
+    assert.equal(shiftIndentLevel("foo", -1, 4), "foo");
+  });
+
+  it("indents blank lines", () => {
+    assert.equal(shiftIndentLevel("", 1, 2), "  ");
+  });
+});
+
+describe("wordStartBefore", () => {
+  it("finds the start of the word before the cursor", () => {
+    assert.equal(wordStartBefore("foo bar", 7), 4);
+    assert.equal(wordStartBefore("foo bar", 6), 4);
+  });
+
+  it("skips whitespace before the word", () => {
+    assert.equal(wordStartBefore("foo bar  ", 9), 4);
+  });
+
+  it("treats punctuation as a word of its own", () => {
+    assert.equal(wordStartBefore("foo.bar", 7), 4);
+    assert.equal(wordStartBefore("foo..", 5), 3);
+  });
+
+  it("deletes leading whitespace to the start of the line", () => {
+    assert.equal(wordStartBefore("   ", 3), 0);
+  });
+});
+
+describe("startsWithKeys", () => {
+  it("compares whole keys", () => {
+    assert.equal(startsWithKeys(["<C-w>", "x"], ["<C-w>"]), true);
+    assert.equal(startsWithKeys(["<C-w>"], ["<C-w>", "x"]), false);
+    assert.equal(startsWithKeys(["<", "C"], ["<C-w>"]), false);
+  });
+});
+
+describe("lookupMapping", () => {
+  const map = (lhs, rhs) => ({ lhs: [...lhs], rhs: [...rhs], noremap: true });
+  const mappings = [map("jk", "\x1b"), map("Y", "y$"), map("g", "x")];
+
+  it("finds a mapping the keys start with", () => {
+    const result = lookupMapping(mappings, ["Y", "p"]);
+    assert.equal(result.mapping, mappings[1]);
+    assert.equal(result.partial, false);
+  });
+
+  it("reports keys that start a longer lhs", () => {
+    assert.deepEqual(lookupMapping(mappings, ["j"]), {
+      mapping: null,
+      partial: true,
+    });
+  });
+
+  it("prefers the longest lhs", () => {
+    const longer = map("gx", "y");
+    const result = lookupMapping([...mappings, longer], ["g", "x"]);
+    assert.equal(result.mapping, longer);
+  });
+
+  it("finds nothing for unmapped keys", () => {
+    assert.deepEqual(lookupMapping(mappings, ["j", "j"]), {
+      mapping: null,
+      partial: false,
+    });
+  });
+});
+
+describe("configLines", () => {
+  it("numbers the commands and skips blanks and comments", () => {
+    const text = '" settings\nset sw=2\n\n  :nnoremap Y y$\r\n';
+    assert.deepEqual(configLines(text), [
+      { line: 2, command: "set sw=2" },
+      { line: 4, command: "nnoremap Y y$" },
+    ]);
+  });
+});
+
+describe("abbreviationAt", () => {
+  const abbreviations = new Map([
+    ["teh", "the"],
+    ["#i", "#include"],
+  ]);
+
+  it("finds a word abbreviation before the cursor", () => {
+    assert.deepEqual(abbreviationAt("say teh", 7, abbreviations), {
+      start: 4,
+      rhs: "the",
+    });
+    assert.deepEqual(abbreviationAt("(teh", 4, abbreviations), {
+      start: 1,
+      rhs: "the",
+    });
+  });
+
+  it("ignores the lhs at the end of a longer word", () => {
+    assert.equal(abbreviationAt("xteh", 4, abbreviations), null);
+  });
+
+  it("needs a blank before an lhs of other characters", () => {
+    assert.deepEqual(abbreviationAt("#i", 2, abbreviations), {
+      start: 0,
+      rhs: "#include",
+    });
+    assert.equal(abbreviationAt("x#i", 3, abbreviations), null);
+  });
+
+  it("ignores text from before the insert started", () => {
+    assert.equal(abbreviationAt("teh", 3, abbreviations, 1), null);
+  });
+});
+
+describe("setOption", () => {
+  afterEach(resetOptions);
+
+  it("sets and clears boolean options by name or abbreviation", () => {
+    assert.deepEqual(setOption("ic"), { name: "ignorecase" });
+    assert.equal(options.ignorecase, true);
+    setOption("noignorecase");
+    assert.equal(options.ignorecase, false);
+    setOption("invic");
+    assert.equal(options.ignorecase, true);
+    setOption("ic!");
+    assert.equal(options.ignorecase, false);
+  });
+
+  it("sets numbers with = and :, and adds, subtracts or multiplies", () => {
+    setOption("sw=2");
+    assert.equal(options.shiftwidth, 2);
+    setOption("sw:3");
+    assert.equal(options.shiftwidth, 3);
+    setOption("sw+=2");
+    assert.equal(options.shiftwidth, 5);
+    setOption("sw-=1");
+    assert.equal(options.shiftwidth, 4);
+    setOption("sw^=2");
+    assert.equal(options.shiftwidth, 8);
+  });
+
+  it("adds, removes and prepends list items", () => {
+    setOption("isk+=-");
+    assert.equal(options.iskeyword, "@,48-57,_,192-255,-");
+    setOption("isk+=-");
+    assert.equal(options.iskeyword, "@,48-57,_,192-255,-");
+    setOption("isk-=_");
+    assert.equal(options.iskeyword, "@,48-57,192-255,-");
+    setOption("isk^=$");
+    assert.equal(options.iskeyword, "$,@,48-57,192-255,-");
+  });
+
+  it("queries with ? or a bare non-boolean name", () => {
+    assert.equal(setOption("ic?").show, "noignorecase");
+    assert.equal(setOption("sw").show, "shiftwidth=4");
+    assert.equal(setOption("isk?").show, "iskeyword=@,48-57,_,192-255");
+  });
+
+  it("resets to the default with &", () => {
+    setOption("tw=40");
+    setOption("tw&");
+    assert.equal(options.textwidth, 79);
+  });
+
+  it("reports errors and leaves the option alone", () => {
+    assert.match(setOption("foo").error, /^E518/);
+    assert.match(setOption("sw=x").error, /^E521/);
+    assert.match(setOption("sw=0").error, /^E487/);
+    assert.match(setOption("ic=1").error, /^E474/);
+    assert.match(setOption("nosw").error, /^E474/);
+    assert.match(setOption("sw!").error, /^E488/);
+    assert.match(setOption("isk=9-1").error, /^E474/);
+    assert.equal(options.shiftwidth, 4);
+    assert.equal(options.iskeyword, "@,48-57,_,192-255");
+  });
+});
+
+describe("formatOption", () => {
+  afterEach(resetOptions);
+
+  it("shows booleans as name or noname and others as name=value", () => {
+    assert.equal(formatOption("wrapscan"), "wrapscan");
+    assert.equal(formatOption("autoindent"), "noautoindent");
+    assert.equal(formatOption("tabstop"), "tabstop=8");
+  });
+});
+
+describe("parseKeywordSpec", () => {
+  it("accepts characters, codes, ranges, @ and exclusions", () => {
+    const flags = parseKeywordSpec("@,48-57,_,^x,a-c");
+    assert.equal(flags["a".charCodeAt(0)], 1);
+    assert.equal(flags["x".charCodeAt(0)], 0);
+    assert.equal(flags["5".charCodeAt(0)], 1);
+    assert.equal(flags["-".charCodeAt(0)], 0);
+  });
+
+  it("rejects reversed and out of range ranges", () => {
+    assert.equal(parseKeywordSpec("9-1"), null);
+    assert.equal(parseKeywordSpec("1-300"), null);
+    assert.equal(parseKeywordSpec("ab"), null);
+  });
+});
+
+describe("isWordChar with iskeyword", () => {
+  afterEach(resetOptions);
+
+  it("follows the option", () => {
+    setOption("isk+=-");
+    assert.equal(isWordChar("-"), true);
+    setOption("isk-=_");
+    assert.equal(isWordChar("_"), false);
+  });
+
+  it("treats letters past 255 as word characters", () => {
+    assert.equal(isWordChar("é"), true);
+    assert.equal(isWordChar("ж"), true);
+    assert.equal(isWordChar("—"), false);
+  });
+
+  it("returns false for no character", () => {
+    assert.equal(isWordChar(undefined), false);
+  });
+});
+
+describe("searchIgnoresCase", () => {
+  afterEach(resetOptions);
+
+  it("follows ignorecase and smartcase", () => {
+    assert.equal(searchIgnoresCase("foo"), false);
+    setOption("ic");
+    assert.equal(searchIgnoresCase("Foo"), true);
+    setOption("scs");
+    assert.equal(searchIgnoresCase("Foo"), false);
+    assert.equal(searchIgnoresCase("foo"), true);
+  });
+
+  it("lets \\c and \\C in the pattern override the options", () => {
+    assert.equal(searchIgnoresCase("foo\\c"), true);
+    setOption("ic");
+    assert.equal(searchIgnoresCase("foo\\C"), false);
+  });
+
+  it("drops \\c from the compiled pattern", () => {
+    assert.equal(compileSearch("foo\\c").test("FOO"), true);
+  });
+});
+
+describe("indentString", () => {
+  afterEach(resetOptions);
+
+  it("uses spaces with expandtab", () => {
+    assert.equal(indentString(6), "      ");
+  });
+
+  it("uses tabs as far as they go without expandtab", () => {
+    setOption("noet");
+    setOption("ts=4");
+    assert.equal(indentString(6), "\t  ");
+    assert.equal(indentWidth("\t  x"), 6);
+  });
+});
+
+describe("modeText", () => {
+  it("names insert, replace and the visual modes", () => {
+    assert.equal(modeText({ insert: true }), "-- INSERT --");
+    assert.equal(modeText({ insert: true, replace: true }), "-- REPLACE --");
+    assert.equal(
+      modeText({ insert: true, replace: true, virtual: true }),
+      "-- VREPLACE --",
+    );
+    assert.equal(modeText({ visual: "char" }), "-- VISUAL --");
+    assert.equal(modeText({ visual: "line" }), "-- VISUAL LINE --");
+    assert.equal(modeText({ visual: "block" }), "-- VISUAL BLOCK --");
+  });
+
+  it("is empty in normal mode", () => {
+    assert.equal(modeText({ insert: false, visual: null }), "");
+  });
+
+  it("marks a command run from insert or replace mode", () => {
+    assert.equal(modeText({ insertCommand: {} }), "-- (insert) --");
+    assert.equal(
+      modeText({ insertCommand: { replace: true }, visual: "line" }),
+      "-- (replace) VISUAL LINE --",
+    );
+    assert.equal(
+      modeText({ insertCommand: { replace: true, virtual: true } }),
+      "-- (vreplace) --",
+    );
+  });
+});
+
+describe("selectionSize", () => {
+  it("counts characters within one line", () => {
+    assert.equal(selectionSize("char", [0, 5], [0, 2]), "4");
+  });
+
+  it("counts lines across several", () => {
+    assert.equal(selectionSize("char", [0, 5], [2, 0]), "3");
+    assert.equal(selectionSize("line", [3, 0], [3, 0]), "1");
+  });
+
+  it("gives lines by columns for a block", () => {
+    assert.equal(selectionSize("block", [1, 4], [3, 2]), "3x3");
+  });
+});
+
+describe("rulerText", () => {
+  it("shows line:column from 1 and the percentage through the pad", () => {
+    assert.equal(rulerText(0, 0, 1), "1:1  100%");
+    assert.equal(rulerText(4, 7, 20), "5:8  25%");
+    assert.equal(rulerText(0, 0, 200), "1:1  0%");
+  });
+});